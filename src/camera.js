@@ -16,70 +16,221 @@
  */
 
 import {VIDEO_SIZE} from './shared/params';
-import {drawResults, isMobile} from './shared/util';
+import {drawResults} from './shared/util';
+
+/**
+ * Error thrown when the camera cannot be started. `reason` is one of the keys
+ * of the `cameraErrors` messages: 'permission-denied', 'no-camera',
+ * 'camera-in-use', 'unsupported' or 'unknown'.
+ */
+export class CameraError extends Error {
+  constructor(reason, cause) {
+    super(`Camera could not be started: ${reason}.`);
+    this.name = 'CameraError';
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Map a `getUserMedia` rejection to a `CameraError`.
+ * @param error The rejection from `getUserMedia`.
+ */
+function toCameraError(error) {
+  switch (error.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+    case 'SecurityError':
+      return new CameraError('permission-denied', error);
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+    case 'OverconstrainedError':
+    case 'ConstraintNotSatisfiedError':
+      return new CameraError('no-camera', error);
+    case 'NotReadableError':
+    case 'TrackStartError':
+    case 'AbortError':
+      return new CameraError('camera-in-use', error);
+    default:
+      return new CameraError('unknown', error);
+  }
+}
+
+/**
+ * Get the video size presets to try, from the requested one down to the
+ * smallest, followed by null for no size constraint.
+ * @param {string} sizeOption Key of `VIDEO_SIZE`.
+ */
+function getSizeFallbacks(sizeOption) {
+  const requested = VIDEO_SIZE[sizeOption];
+  const area = (size) => size.width * size.height;
+  const smaller = Object.values(VIDEO_SIZE)
+                      .filter((size) => size !== requested &&
+                          area(size) <= area(requested))
+                      .sort((a, b) => area(b) - area(a));
+  return [requested, ...smaller, null];
+}
 
 export class Camera {
   constructor() {
     this.video = document.getElementById('video');
     this.canvas = document.getElementById('output');
     this.ctx = this.canvas.getContext('2d');
+    this.mirrored = true;
+    // Facing of the opened camera, 'user' or 'environment'
+    this.facingMode = 'user';
+    this.deviceId = null;
+    this.stream = null;
+  }
+
+  /**
+   * List the cameras of the device. Labels are only available once camera
+   * permission has been granted.
+   * @returns {Promise<Array<MediaDeviceInfo>>}
+   */
+  static async getVideoInputs() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === 'videoinput');
+  }
+
+  /**
+   * Request a camera stream, relaxing the constraints whenever the browser
+   * rejects them: first the size, from the requested preset down to no size
+   * at all, then the selected device in favor of the facing mode.
+   * @param cameraParam From app `STATE.camera`.
+   */
+  static async openStream(cameraParam) {
+    const {targetFPS, sizeOption, facingMode, deviceId} = cameraParam;
+    // The selected size is requested on mobile devices too, the smaller sizes
+    // are tried if the camera doesn't support it.
+    const sizes = getSizeFallbacks(sizeOption);
+    const sources = deviceId ? [{deviceId: {exact: deviceId}}, {facingMode}] :
+                               [{facingMode}];
+
+    let lastError;
+    for (const source of sources) {
+      for (const size of sizes) {
+        const video = Object.assign({}, source, {
+          frameRate: {
+            ideal: targetFPS,
+          },
+        });
+        if (size != null) {
+          video.width = size.width;
+          video.height = size.height;
+        }
+        try {
+          return await navigator.mediaDevices.getUserMedia(
+              {'audio': false, video});
+        } catch (error) {
+          lastError = error;
+          // A selected device that has been unplugged is not found, fall back
+          // to the facing mode.
+          if (error.name === 'NotFoundError' && source.deviceId) {
+            break;
+          }
+          if (error.name !== 'OverconstrainedError' &&
+              error.name !== 'ConstraintNotSatisfiedError') {
+            throw toCameraError(error);
+          }
+        }
+      }
+    }
+    throw toCameraError(lastError);
   }
 
   /**
    * Initiate a Camera instance and wait for the camera stream to be ready.
    * @param cameraParam From app `STATE.camera`.
+   * @throws {CameraError} If the camera cannot be started.
    */
   static async setupCamera(cameraParam) {
+    const camera = new Camera();
+    await camera.start(cameraParam);
+    return camera;
+  }
+
+  /**
+   * Open the camera stream and wait for it to be ready. A stream that is
+   * already open is stopped first.
+   * @param cameraParam From app `STATE.camera`.
+   * @throws {CameraError} If the camera cannot be started.
+   */
+  async start(cameraParam) {
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      throw new Error(
-          'Browser API navigator.mediaDevices.getUserMedia not available');
+      throw new CameraError('unsupported');
     }
 
-    const {targetFPS, sizeOption} = cameraParam;
-    const $size = VIDEO_SIZE[sizeOption];
-    const videoConfig = {
-      'audio': false,
-      'video': {
-        facingMode: 'user',
-        // Only setting the video to a specified size for large screen, on
-        // mobile devices accept the default size.
-        width: isMobile() ? VIDEO_SIZE['360 X 270'].width : $size.width,
-        height: isMobile() ? VIDEO_SIZE['360 X 270'].height : $size.height,
-        frameRate: {
-          ideal: targetFPS,
-        },
-      },
-    };
-
-    const stream = await navigator.mediaDevices.getUserMedia(videoConfig);
+    this.stop();
 
-    const camera = new Camera();
-    camera.video.srcObject = stream;
+    const {facingMode} = cameraParam;
+    const stream = await Camera.openStream(cameraParam);
+
+    this.stream = stream;
+    this.video.srcObject = stream;
+    // Only the front camera shows a mirror image. The rear camera is rendered
+    // and captured as is. A camera picked from the device list may face
+    // another way than the requested facing mode, so the facing the browser
+    // reports for the track wins.
+    const [track] = stream.getVideoTracks();
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    this.deviceId = settings.deviceId || null;
+    this.facingMode = settings.facingMode || facingMode;
+    this.mirrored = this.facingMode !== 'environment';
 
     await new Promise((resolve) => {
-      camera.video.onloadedmetadata = () => {
+      this.video.onloadedmetadata = () => {
         resolve(video);
       };
     });
 
-    camera.video.play();
+    this.video.play();
 
-    const videoWidth = camera.video.videoWidth;
-    const videoHeight = camera.video.videoHeight;
+    const videoWidth = this.video.videoWidth;
+    const videoHeight = this.video.videoHeight;
     // Must set below two lines, otherwise video element doesn't show.
-    camera.video.width = videoWidth;
-    camera.video.height = videoHeight;
+    this.video.width = videoWidth;
+    this.video.height = videoHeight;
 
-    camera.canvas.width = videoWidth;
-    camera.canvas.height = videoHeight;
+    this.canvas.width = videoWidth;
+    this.canvas.height = videoHeight;
     const canvasContainer = document.querySelector('.canvas-wrapper');
     canvasContainer.style = `width: ${videoWidth}px; height: ${videoHeight}px`;
 
     // Because the image from camera is mirrored, need to flip horizontally.
-    camera.ctx.translate(camera.video.videoWidth, 0);
-    camera.ctx.scale(-1, 1);
+    if (this.mirrored) {
+      this.ctx.translate(this.video.videoWidth, 0);
+      this.ctx.scale(-1, 1);
+    }
+  }
 
-    return camera;
+  /**
+   * Stop the camera stream so that the camera is released and its light goes
+   * off. The camera can be started again with `start`.
+   */
+  stop() {
+    if (this.stream != null) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    this.video.pause();
+    this.video.srcObject = null;
+  }
+
+  get isActive() {
+    return this.stream != null;
+  }
+
+  /**
+   * Stop the camera and detach it from the video element for good.
+   */
+  dispose() {
+    this.stop();
+    this.video.onloadedmetadata = null;
+    this.video.onloadeddata = null;
   }
 
   drawCtx() {
@@ -87,7 +238,8 @@ export class Camera {
         this.video, 0, 0, this.video.videoWidth, this.video.videoHeight);
   }
 
-  drawResults(faces, boundingBox, keypoints) {
-    drawResults(this.ctx, faces, boundingBox, keypoints);
+  drawResults(faces, boundingBox, keypoints, stabilizer, frameIssues) {
+    return drawResults(
+        this.ctx, faces, boundingBox, keypoints, stabilizer, frameIssues);
   }
 }
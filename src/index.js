@@ -27,21 +27,131 @@ tfjsWasm.setWasmPaths(
 import * as faceDetection from '@tensorflow-models/face-detection';
 
 import {Camera} from './camera';
-import {setupDatGui} from './option_panel';
+import {setupDatGui, showCameraDevices} from './option_panel';
+import {anonymizeFaces} from './shared/anonymize';
+import {getAudioContext} from './shared/audio';
+import {AutoCapture} from './shared/auto_capture';
+import {BurstCapture, describeBurst, scoreFraming} from './shared/burst';
+import {createCrops} from './shared/crop';
+import {describeEnhancement, enhancePhoto} from './shared/enhance';
+import {FaceStabilizer} from './shared/face_stabilizer';
+import {HapticGuide} from './shared/haptics';
+import {HistoryGallery} from './shared/history_gallery';
+import {markDynamic, t, translatePage} from './shared/i18n';
+import {
+  createZip,
+  dataUrlToBytes,
+  setImageDensity,
+} from './shared/image_files';
+import {analyzeLighting} from './shared/lighting';
+import {getCurrentLocation, writePhotoMetadata} from './shared/metadata';
 import {STATE, createDetector} from './shared/params';
+import {
+  capturePhotoToCanvas,
+  encodePhoto,
+  getPhotoFilename,
+} from './shared/photo_capture';
+import {PhotoHistory} from './shared/photo_history';
+import {getPhrase, isPhotographerMode} from './shared/phrases';
+import {describeReview, reviewPhoto} from './shared/photo_review';
+import {SharpnessMonitor, measureSharpness} from './shared/sharpness';
+import {InputShortcuts} from './shared/shortcuts';
+import {Sonifier} from './shared/sonification';
+import {speech} from './shared/speech';
 import {setupStats} from './shared/stats_panel';
-import {setBackendAndEnvFlags} from './shared/util';
+import {getPrimaryFace, setBackendAndEnvFlags} from './shared/util';
+import {
+  VoiceCommands,
+  createSpeechRecognizer,
+  createStubRecognizer,
+} from './shared/voice_commands';
+import {acquireWakeLock, releaseWakeLock} from './shared/wake_lock';
 
-let detector, camera, stats;
+let detector;
+let camera;
+let stats;
+let stabilizer;
+let autoCapture;
+let sharpnessMonitor;
+let sonifier;
+let hapticGuide;
+let voiceCommands;
+let shortcuts;
+let burstCapture;
+// Saved photos kept on the device, and the gallery that lists them
+let photoHistory;
+let historyGallery;
+// The faces of the last rendered frame, used to check the captured photo
+let lastFaces = [];
 let startInferenceTime, numInferences = 0;
 let inferenceTimeSum = 0, lastPanelUpdate = 0;
 let rafId;
+// Incremented whenever the render loop is stopped or restarted, so that a frame
+// that is still being rendered doesn't schedule another one
+let renderGeneration = 0;
+// The frame being rendered, so that the detector is not used for a photo at the
+// same time
+let frameInProgress = Promise.resolve();
+// Mobile devices save photos to the gallery through the share sheet
+const MOBILE_USER_AGENT =
+    /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i;
+// Whether a guidance session is running, as opposed to showing the Start Over
+// button after a photo was taken
+let sessionActive = false;
 
 async function checkGuiUpdate() {
-  if (STATE.isTargetFPSChanged || STATE.isSizeOptionChanged) {
-    camera = await Camera.setupCamera(STATE.camera);
+  if (STATE.isTargetFPSChanged || STATE.isSizeOptionChanged ||
+      STATE.isFacingModeChanged || STATE.isCameraDeviceChanged) {
+    if (STATE.isFacingModeChanged) {
+      // A camera picked from the device list would be opened again, let the
+      // facing mode pick the camera instead
+      STATE.camera.deviceId = '';
+    }
+    camera = await setupCameraOrReportError();
+    if (STATE.isFacingModeChanged || STATE.isCameraDeviceChanged) {
+      // Detections from the previous camera don't carry over.
+      stabilizer.reset();
+      sharpnessMonitor.reset();
+    }
     STATE.isTargetFPSChanged = false;
     STATE.isSizeOptionChanged = false;
+    STATE.isFacingModeChanged = false;
+    STATE.isCameraDeviceChanged = false;
+  }
+
+  if (STATE.isLocaleChanged) {
+    translatePage();
+    // The description of the captured photo is not static text
+    const capturedPhoto = document.getElementById('captured-photo');
+    if (capturedPhoto && lastPhoto != null) {
+      capturedPhoto.alt = getPhotoDescription();
+    }
+    updateAutoCaptureButton();
+    updateHelperModeButton();
+    updateSpeechOutputButton();
+    updateVoiceCommandsButtons();
+    historyGallery.refresh();
+    updatePhotoVersionButton();
+    // Listen in the new language
+    if (STATE.voiceCommands.enabled) {
+      voiceCommands.start();
+    }
+    STATE.isLocaleChanged = false;
+  }
+
+  if (STATE.isAutoCaptureChanged) {
+    updateAutoCaptureButton();
+    STATE.isAutoCaptureChanged = false;
+  }
+
+  if (STATE.isVoiceCommandsChanged) {
+    applyVoiceCommands();
+    STATE.isVoiceCommandsChanged = false;
+  }
+
+  if (STATE.isSpeechOutputChanged) {
+    updateSpeechOutputButton();
+    STATE.isSpeechOutputChanged = false;
   }
 
   if (STATE.isModelChanged || STATE.isFlagChanged || STATE.isBackendChanged) {
@@ -70,6 +180,51 @@ async function checkGuiUpdate() {
   }
 }
 
+// Function to start the camera. If it fails, the reason and how to recover are
+// shown and announced, and the camera is started again once the user presses
+// Try Again.
+async function setupCameraOrReportError() {
+  const errorElement = document.getElementById('camera-error');
+  const retryButton = document.getElementById('retry-camera');
+
+  // Release the previous stream before opening a new one, some devices can't
+  // open two cameras at once
+  if (camera != null) {
+    camera.dispose();
+  }
+
+  while (true) {
+    try {
+      const newCamera = await Camera.setupCamera(STATE.camera);
+      errorElement.hidden = true;
+      retryButton.hidden = true;
+
+      // The guidance perspective follows the camera that was opened
+      STATE.camera.activeFacingMode = newCamera.facingMode;
+      updateHelperModeButton();
+
+      // Device labels are only available once the camera is allowed
+      showCameraDevices(await Camera.getVideoInputs());
+      return newCamera;
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      const reason = error.reason || 'unknown';
+      const message = t(`cameraErrors.${reason}.message`);
+      const recovery = t(`cameraErrors.${reason}.recovery`);
+      errorElement.textContent = message + ' ' + recovery;
+      errorElement.hidden = false;
+      retryButton.hidden = false;
+      retryButton.focus();
+
+      speech.speak(message + ' ' + recovery, 'urgent');
+
+      await new Promise((resolve) => {
+        retryButton.addEventListener('click', resolve, {once: true});
+      });
+    }
+  }
+}
+
 function beginEstimateFaceStats() {
   startInferenceTime = (performance || Date).now();
 }
@@ -119,31 +274,325 @@ async function renderResult() {
     }
 
     endEstimateFaceStats();
+
+    // Burst capture compares the frames as detected, not as smoothed
+    burstCapture.addFrame(camera.video, faces || []);
+
+    // Smooth the detections and drop low-confidence ones before any guidance
+    // is derived from them.
+    faces = stabilizer.update(faces);
   }
 
   camera.drawCtx();
 
+  // Check the face region for blur and lighting, and the whole frame for
+  // camera shake. Any issue found keeps the face from being reported as
+  // centered, or ends the centered state.
+  const frameIssues = [];
+  if (faces && faces.length > 0) {
+    const primaryFace = getPrimaryFace(
+        faces, camera.video.videoWidth, camera.video.videoHeight);
+    if (STATE.sharpness.enabled) {
+      const {blurry} = sharpnessMonitor.update(camera.video, primaryFace);
+      if (blurry) {
+        frameIssues.push(getPhrase('holdStill'));
+      }
+    }
+    if (STATE.lighting.enabled) {
+      const {issues} =
+          analyzeLighting(camera.video, primaryFace, STATE.lighting);
+      frameIssues.push(...issues);
+    }
+  }
+  lastFaces = faces || [];
+
   // The null check makes sure the UI is not in the middle of changing to a
   // different model. If during model change, the result is from an old model,
-  // which shouldn't be rendered.
-  if (faces && faces.length > 0 && !STATE.isModelChanged) {
-    camera.drawResults(
-        faces, STATE.modelConfig.boundingBox, STATE.modelConfig.keypoints);
+  // which shouldn't be rendered. An empty list is still drawn so that the
+  // status reports that no face is detected.
+  let centered = false;
+  let hints = null;
+  if (faces && !STATE.isModelChanged) {
+    ({centered, hints} = camera.drawResults(
+        faces, STATE.modelConfig.boundingBox, STATE.modelConfig.keypoints,
+        stabilizer, frameIssues));
   }
+
+  // Convey the position with tones when sonification is selected.
+  if (STATE.guidanceMode === 'speech') {
+    sonifier.silence();
+  } else {
+    sonifier.update(centered, hints);
+  }
+
+  // Vibrate the same guidance on devices that support it.
+  hapticGuide.update(centered, hints);
+
+  // Auto-capture only starts its countdown from the stabilized state.
+  autoCapture.update(centered);
 }
 
-async function renderPrediction() {
-  await checkGuiUpdate();
+async function renderPrediction(generation) {
+  let finishFrame;
+  frameInProgress = new Promise((resolve) => {
+    finishFrame = resolve;
+  });
+  try {
+    await checkGuiUpdate();
 
-  if (!STATE.isModelChanged) {
-    await renderResult();
+    if (!STATE.isModelChanged) {
+      await renderResult();
+    }
+  } finally {
+    finishFrame();
   }
 
-  rafId = requestAnimationFrame(renderPrediction);
+  // Stop when the session ended, the page was hidden or the loop was stopped
+  // or restarted while rendering
+  if (generation === renderGeneration && sessionActive && !document.hidden) {
+    rafId = requestAnimationFrame(() => renderPrediction(generation));
+  }
 };
 
+// Function to start rendering frames, in place of any loop already running
+function startRenderLoop() {
+  stopRenderLoop();
+  const generation = renderGeneration;
+  rafId = requestAnimationFrame(() => renderPrediction(generation));
+}
+
+// Function to stop rendering frames. A frame that is being rendered finishes
+// but doesn't schedule the next one.
+function stopRenderLoop() {
+  window.cancelAnimationFrame(rafId);
+  renderGeneration++;
+}
+
+// Function to pause the guidance: stop inference, release the camera and let
+// the screen turn off
+function pauseGuidance() {
+  stopRenderLoop();
+  autoCapture.reset();
+  burstCapture.reset();
+  sonifier.silence();
+  hapticGuide.stop();
+  camera.stop();
+  releaseWakeLock();
+}
+
+// Function to resume the guidance with a fresh camera stream and a fresh
+// stabilization state
+async function resumeGuidance() {
+  camera = await setupCameraOrReportError();
+  // The page may have been hidden or the session ended while the camera was
+  // starting, don't keep it running then
+  if (document.hidden || !sessionActive) {
+    camera.dispose();
+    return;
+  }
+  stabilizer.reset();
+  autoCapture.reset();
+  sharpnessMonitor.reset();
+  acquireWakeLock();
+  startRenderLoop();
+}
+
+// Function to pause while the page is in the background and resume when it is
+// visible again
+function handleVisibilityChange() {
+  // Voice commands also work between photos, but never in the background
+  if (document.hidden) {
+    voiceCommands.stop();
+  } else if (STATE.voiceCommands.enabled) {
+    voiceCommands.start();
+  }
+
+  if (!sessionActive) return;
+
+  if (document.hidden) {
+    pauseGuidance();
+    // Don't keep talking in the background
+    speech.cancel();
+  } else {
+    resumeGuidance();
+  }
+}
+
+// Function to find a face box of the video in the captured photo
+function getPhotoBox(photoCanvas, capture, box) {
+  // The face box is found in the video, it is scaled to the photo, and
+  // mirrored as well if the photo is mirrored
+  const scaled = {
+    xMin: box.xMin * capture.scale,
+    xMax: box.xMax * capture.scale,
+    yMin: box.yMin * capture.scale,
+    yMax: box.yMax * capture.scale,
+  };
+  return capture.mirrored ? {
+    xMin: photoCanvas.width - scaled.xMax,
+    xMax: photoCanvas.width - scaled.xMin,
+    yMin: scaled.yMin,
+    yMax: scaled.yMax,
+  } : scaled;
+}
+
+// Function to find the primary face of the frame the photo was taken from in
+// the captured photo. Returns null if no face was detected.
+function getCapturedFaceBox(photoCanvas, capture, faces) {
+  if (faces.length === 0) return null;
+
+  const face = getPrimaryFace(
+      faces, camera.video.videoWidth, camera.video.videoHeight);
+  return getPhotoBox(photoCanvas, capture, face.box);
+}
+
+// Function to hide every face but the primary one in the captured photo, for
+// the privacy of bystanders. Returns the number of faces hidden.
+function anonymizeBystanders(photoCanvas, capture, faces) {
+  // In group mode every face is someone who wants to be in the photo
+  if (!STATE.anonymize.enabled || STATE.groupMode || faces.length < 2) {
+    return 0;
+  }
+  const primaryFace = getPrimaryFace(
+      faces, camera.video.videoWidth, camera.video.videoHeight);
+  const boxes = faces.filter((face) => face !== primaryFace)
+      .map((face) => getPhotoBox(photoCanvas, capture, face.box));
+  return anonymizeFaces(photoCanvas, boxes, STATE.anonymize);
+}
+
+// Function to check the sharpness of the face in the captured photo. Returns
+// false if the photo should not be kept.
+function checkCapturedPhotoSharpness(photoCanvas, box) {
+  if (!STATE.sharpness.enabled || box == null) return true;
+
+  const sharpness = measureSharpness(photoCanvas, box);
+  if (!sharpnessMonitor.isBlurry(sharpness, sharpnessMonitor.motion)) {
+    return true;
+  }
+
+  const blocked = STATE.sharpness.onBlurryCapture === 'block';
+  const message = blocked ?
+      t('ui.photoBlurryNotSaved') :
+      t('ui.photoMayBeBlurry');
+  if (!speech.speak(message, 'urgent') && blocked) {
+    alert(message);
+  }
+  return !blocked;
+}
+
+// Time after which the progress of a long enhancement is read out
+const ENHANCE_PROGRESS_DELAY = 1000;
+
+// Function to create a progress callback for `enhancePhoto`, which reads out
+// every quarter once the enhancement takes long enough to be noticed
+function createEnhanceProgress() {
+  const start = Date.now();
+  let lastPercent = 0;
+  return (fraction) => {
+    const percent = Math.floor(fraction * 4) * 25;
+    if (percent <= lastPercent || percent >= 100 ||
+        Date.now() - start < ENHANCE_PROGRESS_DELAY) {
+      return;
+    }
+    lastPercent = percent;
+    speech.speak(t('ui.enhancingPhoto', {percent}), 'status');
+  };
+}
+
+// Whether a photo is being taken, full resolution photos take a moment
+let photoInProgress = false;
+// The last photo: the face box used to crop it, the number of faces, the time
+// and the location written into its metadata, which burst frame it is, how
+// many bystanders were hidden, how well it is framed, whether it was added to
+// the photo history, and the corrections of its enhanced version with whether
+// that version is saved
+let lastPhoto = null;
+
+// Function to take a photo into the photo canvas, at the full resolution of
+// the camera if possible, or from the best frame of a burst, along with an
+// enhanced version in the enhanced canvas. Returns the encoded version to
+// save, or null if the photo should not be kept.
+async function takeStillPhoto(photoCanvas) {
+  if (photoInProgress) return null;
+  photoInProgress = true;
+  // The location is only asked for when it is written into the photo
+  const location = STATE.metadata.enabled && STATE.metadata.location ?
+      getCurrentLocation() :
+      Promise.resolve(null);
+  try {
+    const date = new Date();
+    const burst = STATE.burst.enabled ? await burstCapture.capture() : null;
+    const frame = burst && burst.frame;
+    const faces = frame ? frame.faces : lastFaces;
+    const capture = await capturePhotoToCanvas(
+        camera, photoCanvas, STATE.photo, frame && frame.canvas);
+    const box = getCapturedFaceBox(photoCanvas, capture, faces);
+    // Don't keep the photo if it is too blurry
+    if (!checkCapturedPhotoSharpness(photoCanvas, box)) {
+      return null;
+    }
+    // Bystanders are hidden before anything is encoded, including the
+    // enhanced version
+    const anonymizedCount = anonymizeBystanders(photoCanvas, capture, faces);
+    // The photo as taken stays in the photo canvas, so that the user can
+    // still pick it over the enhanced version
+    const enhancedCanvas = document.getElementById('enhanced-canvas');
+    const enhancement = STATE.enhance.enabled && enhancedCanvas ?
+        await enhancePhoto(photoCanvas, enhancedCanvas, box, STATE.enhance,
+            createEnhanceProgress()) :
+        null;
+    lastPhoto = {
+      faceBox: box,
+      faceCount: faces.length,
+      date,
+      location: await location,
+      burstSummary: frame ? describeBurst(burst) : null,
+      anonymizedCount,
+      framingScore: box ? getFramingScore(photoCanvas, box) : null,
+      inHistory: false,
+      enhancement,
+      useEnhanced: enhancement != null,
+    };
+    return encodePhoto(getChosenPhotoCanvas(), STATE.photo);
+  } finally {
+    photoInProgress = false;
+  }
+}
+
+// Function to get the canvas of the version of the last photo to save: the
+// enhanced version, unless the user picked the photo as taken
+function getChosenPhotoCanvas() {
+  if (lastPhoto != null && lastPhoto.useEnhanced) {
+    return document.getElementById('enhanced-canvas');
+  }
+  return document.getElementById('photo-canvas');
+}
+
+// Function to score how well the face in the photo matches the framing
+// profile, from 0 to 100
+function getFramingScore(photoCanvas, box) {
+  const {centering, size} =
+      scoreFraming({box}, photoCanvas.width, photoCanvas.height);
+  return Math.round((centering + size) * 50);
+}
+
+// Function to tell which burst frame the last photo is and how many faces were
+// hidden in it before a message about it
+function withCaptureSummary(message) {
+  if (lastPhoto == null) return message;
+  const parts = [];
+  if (lastPhoto.burstSummary != null) {
+    parts.push(lastPhoto.burstSummary);
+  }
+  if (lastPhoto.anonymizedCount > 0) {
+    parts.push(t('ui.facesAnonymized', {count: lastPhoto.anonymizedCount}));
+  }
+  parts.push(message);
+  return parts.join(' ');
+}
+
 // Function to capture a photo when the face is centered
-function capturePhoto() {
+async function capturePhoto() {
   const statusElement = document.getElementById('face-status');
   const takePhotoButton = document.getElementById('take-photo');
   const downloadPhotoButton = document.getElementById('download-photo');
@@ -151,26 +600,16 @@ function capturePhoto() {
   const capturedPhoto = document.getElementById('captured-photo');
   
   // Check if face is centered
-  if (statusElement && statusElement.textContent.includes('Centered')) {
-    // Set the photo canvas dimensions to match the video
-    photoCanvas.width = camera.video.videoWidth;
-    photoCanvas.height = camera.video.videoHeight;
-    
-    // Get the canvas context and draw the current video frame
-    const ctx = photoCanvas.getContext('2d');
-    
-    // Since the video is mirrored, we need to mirror the canvas too
-    ctx.translate(photoCanvas.width, 0);
-    ctx.scale(-1, 1);
-    
-    // Draw the video frame to the canvas
-    ctx.drawImage(camera.video, 0, 0, photoCanvas.width, photoCanvas.height);
-    
-    // Convert canvas to image URL
-    const imageUrl = photoCanvas.toDataURL('image/png');
+  if (statusElement && statusElement.dataset.centered === 'true') {
+    const photo = await takeStillPhoto(photoCanvas);
+    if (photo == null) {
+      return;
+    }
     
     // Display the captured image
-    capturedPhoto.src = imageUrl;
+    capturedPhoto.src = photo.url;
+    capturedPhoto.alt = getPhotoDescription();
+    markDynamic(capturedPhoto);
     capturedPhoto.style.display = 'block';
     
     // Enable download button
@@ -178,31 +617,24 @@ function capturePhoto() {
     
     // Play a camera shutter sound for audio feedback
     playShutterSound();
+    hapticGuide.vibrate('photoTaken');
+
+    // Let the user hear what the photo looks like before it is saved
+    if (STATE.review.enabled) {
+      await startPhotoReview(getChosenPhotoCanvas());
+      return;
+    }
     
     // Announce success for screen reader users
-    if ('speechSynthesis' in window) {
-      window.speechSynthesis.cancel(); // Cancel any ongoing speech
-      const successMessage = 'Photo captured successfully. You can now download it using the Download Photo button.';
-      const utterance = new SpeechSynthesisUtterance(successMessage);
-      utterance.rate = 1.1;
-      utterance.volume = 1;
-      window.speechSynthesis.speak(utterance);
-    } else {
+    if (!speech.speak(withCaptureSummary(t('ui.photoCaptured')), 'urgent')) {
       // Fallback to alert if speech synthesis is not available
-      alert('Photo captured successfully!');
+      alert(t('ui.photoCapturedAlert'));
     }
   } else {
     // Provide audio feedback if face is not centered
-    if ('speechSynthesis' in window) {
-      window.speechSynthesis.cancel(); // Cancel any ongoing speech
-      const warningMessage = 'Please center your face before taking a photo. Use the Announce Position button for guidance.';
-      const utterance = new SpeechSynthesisUtterance(warningMessage);
-      utterance.rate = 1.1;
-      utterance.volume = 1;
-      window.speechSynthesis.speak(utterance);
-    } else {
+    if (!speech.speak(t('ui.centerBeforePhoto'), 'urgent')) {
       // Fallback to alert if speech synthesis is not available
-      alert('Please center your face before taking a photo.');
+      alert(t('ui.centerBeforePhotoAlert'));
     }
   }
 }
@@ -235,18 +667,12 @@ function setupUIForEnvironment(isDev) {
       const voiceTestButton = document.createElement('button');
       voiceTestButton.id = 'test-voice';
       voiceTestButton.style.cssText = 'padding: 10px 20px; font-size: 16px; background-color: #673AB7; color: white; border: none; border-radius: 5px; cursor: pointer; margin-right: 10px;';
-      voiceTestButton.setAttribute('aria-label', 'Test voice synthesis');
-      voiceTestButton.textContent = 'Test Voice';
+      voiceTestButton.dataset.i18n = 'ui.testVoice';
+      voiceTestButton.dataset.i18nLabel = 'ui.testVoiceLabel';
+      voiceTestButton.setAttribute('aria-label', t('ui.testVoiceLabel'));
+      voiceTestButton.textContent = t('ui.testVoice');
       voiceTestButton.addEventListener('click', () => {
-        if ('speechSynthesis' in window) {
-          const testMessage = 'Voice synthesis test. This is how the app will speak to you.';
-          const utterance = new SpeechSynthesisUtterance(testMessage);
-          utterance.rate = 1.1;
-          utterance.pitch = 1;
-          utterance.volume = 1;
-          window.speechSynthesis.cancel(); // Cancel any ongoing speech
-          window.speechSynthesis.speak(utterance);
-        }
+        speech.speak(t('ui.voiceSynthesisTest'), 'urgent');
       });
       
       // Add before the Take Photo button
@@ -298,11 +724,8 @@ function setupUIForEnvironment(isDev) {
 
 // Function to play a camera shutter sound for audio feedback
 function playShutterSound() {
-  // Create an audio context
-  const AudioContext = window.AudioContext || window.webkitAudioContext;
-  if (!AudioContext) return; // Browser doesn't support Web Audio API
-  
-  const audioContext = new AudioContext();
+  const audioContext = getAudioContext();
+  if (audioContext == null) return; // Browser doesn't support Web Audio API
   
   // Create an oscillator for a quick 'click' sound
   const oscillator = audioContext.createOscillator();
@@ -322,58 +745,149 @@ function playShutterSound() {
   oscillator.stop(audioContext.currentTime + 0.1);
 }
 
+// Function to describe the last photo, for its alt text and share text
+function getPhotoDescription() {
+  const count = lastPhoto ? lastPhoto.faceCount : 0;
+  return count > 0 ?
+      t('ui.photoDescription', {count}) :
+      t('ui.photoDescriptionNoFace');
+}
+
+// Function to get the files to save for the captured photo: the photo itself
+// and the crops picked in the export settings, with their metadata
+function getPhotoFiles(photoCanvas) {
+  const photoInfo = lastPhoto ||
+      {faceBox: null, faceCount: 0, date: new Date(), location: null};
+  const metadata = {
+    date: photoInfo.date,
+    description: STATE.metadata.description ? getPhotoDescription() : '',
+    author: STATE.metadata.author,
+    location: STATE.metadata.location ? photoInfo.location : null,
+  };
+  const getFile = (canvas, suffix, dpi) => {
+    const photo = encodePhoto(canvas, STATE.photo);
+    // Prints need their resolution to come out at the right size
+    if (dpi) {
+      photo.url = setImageDensity(photo.url, photo.mimeType, dpi);
+    }
+    if (STATE.metadata.enabled) {
+      photo.url = writePhotoMetadata(photo.url, photo.mimeType, metadata);
+    }
+    photo.filename = getPhotoFilename(photo.extension, suffix, photoInfo.date);
+    return photo;
+  };
+
+  const files = [];
+  const crops = createCrops(photoCanvas, photoInfo.faceBox, STATE.export);
+  if (STATE.export.original || crops.length === 0) {
+    files.push(getFile(photoCanvas, '', 0));
+  }
+  crops.forEach((crop) => {
+    files.push(getFile(crop.canvas, crop.suffix, crop.dpi));
+  });
+  return files;
+}
+
+// Function to add the last photo to the photo history, once
+function addPhotoToHistory(files) {
+  if (!STATE.history.enabled || lastPhoto == null || lastPhoto.inHistory) {
+    return;
+  }
+  lastPhoto.inHistory = true;
+  photoHistory.add({
+    date: lastPhoto.date,
+    description: getPhotoDescription(),
+    faceCount: lastPhoto.faceCount,
+    framingScore: lastPhoto.framingScore,
+    files,
+  })
+      .then(() => historyGallery.refresh())
+      .catch((error) => {
+        console.warn('Adding the photo to the history failed:', error);
+      });
+}
+
+// Function to share photo files through the share sheet. Rejects if the
+// browser can't share them.
+function sharePhotoFiles(files, text) {
+  // Create File objects from the data URLs
+  const shareFiles = files.map((file) => new File(
+      [dataUrlToBytes(file.url)], file.filename, {type: file.mimeType}));
+
+  if (navigator.canShare && navigator.canShare({files: shareFiles})) {
+    return navigator.share({
+      files: shareFiles,
+      title: t('ui.shareTitle'),
+      text,
+    });
+  } else if (navigator.share && files.length === 1) {
+    // Fallback for browsers that support share but not file sharing
+    return navigator.share({
+      title: t('ui.shareTitle'),
+      text,
+      url: files[0].url,
+    });
+  }
+  return Promise.reject(new Error('Sharing files is not supported'));
+}
+
+// Function to download photo files one by one
+function downloadPhotoFiles(files) {
+  files.forEach((file) => fallbackDownload(file.url, file.filename));
+}
+
+// Function to save photo files: to the gallery through the share sheet on
+// mobile devices, otherwise as downloads. Several files are saved as a single
+// zip archive if the export settings ask for it.
+function savePhoto(files) {
+  addPhotoToHistory(files);
+
+  if (files.length > 1 && STATE.export.zip) {
+    const zip = createZip(files.map((file) =>
+      ({name: file.filename, bytes: dataUrlToBytes(file.url)})));
+    const zipUrl = URL.createObjectURL(zip);
+    fallbackDownload(zipUrl, getPhotoFilename('zip'));
+    // Give the browser time to start the download
+    setTimeout(() => URL.revokeObjectURL(zipUrl), 60000);
+    return;
+  }
+
+  // Check if it's a mobile device
+  const isMobile = MOBILE_USER_AGENT.test(navigator.userAgent);
+
+  if (isMobile && (navigator.canShare || navigator.share)) {
+    // Use Web Share API to save to gallery
+    sharePhotoFiles(files, getPhotoDescription())
+        .then(() => console.log('Shared successfully'))
+        .catch((error) => {
+          console.error('Error sharing:', error);
+          // Fall back to regular download if sharing fails
+          downloadPhotoFiles(files);
+        });
+  } else {
+    // For desktop or browsers without sharing capability
+    downloadPhotoFiles(files);
+  }
+}
+
+// Function to share a photo from the photo history, or download it if the
+// browser can't share it
+function shareHistoryPhoto(photo) {
+  sharePhotoFiles(photo.files, photo.description).catch((error) => {
+    // The user closed the share sheet
+    if (error.name === 'AbortError') return;
+    console.warn('Error sharing:', error);
+    downloadPhotoFiles(photo.files);
+    speech.speak(t('ui.historyShareUnavailable'), 'urgent');
+  });
+}
+
 // Function to download the captured photo
 function downloadPhoto() {
-  const photoCanvas = document.getElementById('photo-canvas');
+  const photoCanvas = getChosenPhotoCanvas();
   
   if (photoCanvas) {
-    const filename = 'selfie_' + new Date().toISOString().replace(/[:.]/g, '-') + '.png';
-    const imageUrl = photoCanvas.toDataURL('image/png');
-    
-    // Check if it's a mobile device
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    
-    if (isMobile && (navigator.canShare || navigator.share)) {
-      // Convert the data URL to a blob
-      fetch(imageUrl)
-        .then(res => res.blob())
-        .then(blob => {
-          // Create a File object
-          const file = new File([blob], filename, { type: 'image/png' });
-          
-          // Use Web Share API to save to gallery
-          if (navigator.canShare && navigator.canShare({ files: [file] })) {
-            navigator.share({
-              files: [file],
-              title: 'Selfie',
-              text: 'My selfie taken with the Accessible Selfie App'
-            })
-            .then(() => console.log('Shared successfully'))
-            .catch((error) => {
-              console.error('Error sharing:', error);
-              // Fall back to regular download if sharing fails
-              fallbackDownload(imageUrl, filename);
-            });
-          } else if (navigator.share) {
-            // Fallback for browsers that support share but not file sharing
-            navigator.share({
-              title: 'Selfie',
-              text: 'My selfie taken with the Accessible Selfie App',
-              url: imageUrl
-            })
-            .then(() => console.log('Shared successfully'))
-            .catch((error) => {
-              console.error('Error sharing:', error);
-              fallbackDownload(imageUrl, filename);
-            });
-          } else {
-            fallbackDownload(imageUrl, filename);
-          }
-        });
-    } else {
-      // For desktop or browsers without sharing capability
-      fallbackDownload(imageUrl, filename);
-    }
+    savePhoto(getPhotoFiles(photoCanvas));
   }
 }
 
@@ -388,32 +902,23 @@ function fallbackDownload(imageUrl, filename) {
 }
 
 // Function to take and download a photo in a single action
-function takeAndDownloadPhoto() {
+async function takeAndDownloadPhoto() {
   const statusElement = document.getElementById('face-status');
   const photoCanvas = document.getElementById('photo-canvas');
   const capturedPhoto = document.getElementById('captured-photo');
   
   // Check if face is centered
-  if (statusElement && statusElement.textContent.includes('Centered')) {
-    // Set the photo canvas dimensions to match the video
-    photoCanvas.width = camera.video.videoWidth;
-    photoCanvas.height = camera.video.videoHeight;
-    
-    // Get the canvas context and draw the current video frame
-    const ctx = photoCanvas.getContext('2d');
-    
-    // Since the video is mirrored, we need to mirror the canvas too
-    ctx.translate(photoCanvas.width, 0);
-    ctx.scale(-1, 1);
-    
-    // Draw the video frame to the canvas
-    ctx.drawImage(camera.video, 0, 0, photoCanvas.width, photoCanvas.height);
-    
-    // Convert canvas to image URL
-    const imageUrl = photoCanvas.toDataURL('image/png');
+  if (statusElement && statusElement.dataset.centered === 'true') {
+    const photo = await takeStillPhoto(photoCanvas);
+    if (photo == null) {
+      return;
+    }
+    const imageUrl = photo.url;
     
     // Display the captured image
     capturedPhoto.src = imageUrl;
+    capturedPhoto.alt = getPhotoDescription();
+    markDynamic(capturedPhoto);
     capturedPhoto.style.display = 'block';
     
     // Enable download button (even though we're downloading automatically)
@@ -424,101 +929,192 @@ function takeAndDownloadPhoto() {
     
     // Play a camera shutter sound for audio feedback
     playShutterSound();
+    hapticGuide.vibrate('photoTaken');
     
-    // Save the photo
-    const filename = 'selfie_' + new Date().toISOString().replace(/[:.]/g, '-') + '.png';
-    
-    // Check if it's a mobile device
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    
-    // Announce success for screen reader users
-    if ('speechSynthesis' in window) {
-      window.speechSynthesis.cancel(); // Cancel any ongoing speech
-      const successMessage = isMobile ? 'Photo captured. Saving to gallery.' : 'Photo captured and downloading automatically.';
-      const utterance = new SpeechSynthesisUtterance(successMessage);
-      utterance.rate = 1.1;
-      utterance.volume = 1;
-      window.speechSynthesis.speak(utterance);
-      
-      // Save the photo after a short delay to allow the speech to be heard
-      setTimeout(() => {
-        savePhoto(imageUrl, filename);
-        
-        // Disable the app and show start over button after photo is taken and downloaded
-        disableAppAndShowStartOver();
-      }, 1500);
+    // Let the user hear what the photo looks like before it is saved, or
+    // save it right away without the review
+    if (STATE.review.enabled) {
+      await startPhotoReview(getChosenPhotoCanvas());
     } else {
-      // If speech synthesis is not available, save immediately
-      savePhoto(imageUrl, filename);
-      alert(isMobile ? 'Photo captured. Saving to gallery.' : 'Photo captured and downloaded successfully!');
-      
-      // Disable the app and show start over button after photo is taken and downloaded
-      disableAppAndShowStartOver();
-    }
-    
-    function savePhoto(imageUrl, filename) {
-      if (isMobile && (navigator.canShare || navigator.share)) {
-        // Convert the data URL to a blob
-        fetch(imageUrl)
-          .then(res => res.blob())
-          .then(blob => {
-            // Create a File object
-            const file = new File([blob], filename, { type: 'image/png' });
-            
-            // Use Web Share API to save to gallery
-            if (navigator.canShare && navigator.canShare({ files: [file] })) {
-              navigator.share({
-                files: [file],
-                title: 'Selfie',
-                text: 'My selfie taken with the Accessible Selfie App'
-              })
-              .then(() => console.log('Shared successfully'))
-              .catch((error) => {
-                console.error('Error sharing:', error);
-                // Fall back to regular download if sharing fails
-                fallbackDownload(imageUrl, filename);
-              });
-            } else if (navigator.share) {
-              // Fallback for browsers that support share but not file sharing
-              navigator.share({
-                title: 'Selfie',
-                text: 'My selfie taken with the Accessible Selfie App',
-                url: imageUrl
-              })
-              .then(() => console.log('Shared successfully'))
-              .catch((error) => {
-                console.error('Error sharing:', error);
-                fallbackDownload(imageUrl, filename);
-              });
-            } else {
-              fallbackDownload(imageUrl, filename);
-            }
-          });
-      } else {
-        // For desktop or browsers without sharing capability
-        fallbackDownload(imageUrl, filename);
-      }
+      saveCapturedPhoto(withCaptureSummary);
     }
   } else {
     // Provide audio feedback if face is not centered
-    if ('speechSynthesis' in window) {
-      window.speechSynthesis.cancel(); // Cancel any ongoing speech
-      const warningMessage = 'Please center your face before taking a photo. Use the Announce Position button for guidance.';
-      const utterance = new SpeechSynthesisUtterance(warningMessage);
-      utterance.rate = 1.1;
-      utterance.volume = 1;
-      window.speechSynthesis.speak(utterance);
-    } else {
+    if (!speech.speak(t('ui.centerBeforePhoto'), 'urgent')) {
       // Fallback to alert if speech synthesis is not available
-      alert('Please center your face before taking a photo.');
+      alert(t('ui.centerBeforePhotoAlert'));
     }
   }
 }
 
+// Whether a photo waits for the user to keep it or retake it
+let photoInReview = false;
+// Time for the camera to settle before a photo is retaken
+const RETAKE_DELAY = 1500;
+// The faces found in the reviewed photo, to review the other version of it
+let reviewFaces = [];
+
+// Function to read out a report of the captured photo, and let the user keep
+// it or retake it
+async function startPhotoReview(photoCanvas) {
+  sessionActive = false;
+  pauseGuidance();
+  photoInReview = true;
+
+  // The report is about the captured pixels, so the faces are detected again
+  // in the photo
+  let faces = null;
+  // The last video frame may still be going through the detector
+  await frameInProgress;
+  if (detector != null) {
+    try {
+      faces =
+          await detector.estimateFaces(photoCanvas, {flipHorizontal: false});
+    } catch (error) {
+      console.warn('Face detection in the photo failed:', error);
+    }
+  }
+  if (faces == null) {
+    faces = lastPhoto && lastPhoto.faceBox ? [{box: lastPhoto.faceBox}] : [];
+  }
+  reviewFaces = faces;
+  let report = withCaptureSummary(
+      describeReview(reviewPhoto(photoCanvas, faces, STATE.review)));
+  if (lastPhoto && lastPhoto.enhancement) {
+    report += ' ' + describeEnhancement(lastPhoto.enhancement) + ' ' +
+        t('ui.photoVersionHint');
+  }
+  updatePhotoVersionButton();
+
+  const takeAndDownloadButton = document.getElementById('take-and-download');
+  if (takeAndDownloadButton) {
+    takeAndDownloadButton.style.display = 'none';
+  }
+  const reviewElement = document.getElementById('photo-review');
+  const reportElement = document.getElementById('review-report');
+  const keepPhotoButton = document.getElementById('keep-photo');
+  if (reviewElement) {
+    reportElement.textContent = report;
+    reviewElement.hidden = false;
+    // The choice is the only thing left to do, so it gets the focus
+    keepPhotoButton.focus();
+  }
+
+  speech.speak(report + ' ' + t('ui.reviewChoose'), 'urgent');
+}
+
+// Function to hide the review of the captured photo
+function endPhotoReview() {
+  photoInReview = false;
+  const reviewElement = document.getElementById('photo-review');
+  if (reviewElement) {
+    reviewElement.hidden = true;
+  }
+}
+
+// Function to save the captured photo and its crops, announce it, then show
+// the Start Over button. `announce` can add to the announcement, for example
+// the capture summary when there was no review to read it out.
+function saveCapturedPhoto(announce = (message) => message) {
+  savePhoto(getPhotoFiles(getChosenPhotoCanvas()));
+
+  const isMobile = MOBILE_USER_AGENT.test(navigator.userAgent);
+  if (!speech.speak(announce(t(isMobile ?
+      'ui.photoSavingToGallery' : 'ui.photoDownloading')), 'urgent')) {
+    alert(t(isMobile ?
+        'ui.photoSavingToGallery' : 'ui.photoDownloadedAlert'));
+  }
+  disableAppAndShowStartOver();
+}
+
+// Function to save the reviewed photo and its crops, then show the Start Over
+// button
+function keepPhoto() {
+  if (!photoInReview) return;
+  endPhotoReview();
+  saveCapturedPhoto();
+}
+
+// Function to reflect the version of the reviewed photo that is saved on its
+// toggle button, which is only shown if there is an enhanced version
+function updatePhotoVersionButton() {
+  const photoVersionButton = document.getElementById('photo-version');
+  if (!photoVersionButton) return;
+
+  const enhanced = lastPhoto != null && lastPhoto.enhancement != null;
+  photoVersionButton.hidden = !enhanced;
+  if (enhanced) {
+    photoVersionButton.textContent = t(lastPhoto.useEnhanced ?
+        'ui.photoVersionEnhancedButton' : 'ui.photoVersionOriginalButton');
+    photoVersionButton.setAttribute(
+        'aria-pressed', String(lastPhoto.useEnhanced));
+  }
+}
+
+// Function to switch between the enhanced version of the reviewed photo and
+// the photo as taken, and read out a review of the version now selected
+function switchPhotoVersion() {
+  if (lastPhoto == null || lastPhoto.enhancement == null) return;
+
+  lastPhoto.useEnhanced = !lastPhoto.useEnhanced;
+  updatePhotoVersionButton();
+  const photoCanvas = getChosenPhotoCanvas();
+  const capturedPhoto = document.getElementById('captured-photo');
+  if (capturedPhoto) {
+    capturedPhoto.src = encodePhoto(photoCanvas, STATE.photo).url;
+  }
+
+  const report =
+      describeReview(reviewPhoto(photoCanvas, reviewFaces, STATE.review));
+  const reportElement = document.getElementById('review-report');
+  if (reportElement) {
+    reportElement.textContent = report;
+  }
+  const version = t(lastPhoto.useEnhanced ?
+      'ui.photoVersionEnhanced' : 'ui.photoVersionOriginal');
+  speech.speak(version + ' ' + report, 'urgent');
+}
+
+// Function to discard the reviewed photo and go back to the camera. With the
+// same settings, the photo is taken again right away instead of waiting for
+// the user.
+async function retakePhoto(sameSettings) {
+  if (!photoInReview) return;
+  endPhotoReview();
+
+  lastPhoto = null;
+  const capturedPhoto = document.getElementById('captured-photo');
+  if (capturedPhoto) {
+    capturedPhoto.style.display = 'none';
+  }
+  const downloadPhotoButton = document.getElementById('download-photo');
+  if (downloadPhotoButton) {
+    downloadPhotoButton.disabled = true;
+  }
+  const takeAndDownloadButton = document.getElementById('take-and-download');
+  if (takeAndDownloadButton) {
+    takeAndDownloadButton.style.display = 'block';
+  }
+
+  sessionActive = true;
+  await resumeGuidance();
+  if (sameSettings) {
+    speech.speak(t('ui.retakingSame'), 'urgent');
+    setTimeout(() => {
+      if (sessionActive) {
+        takeAndDownloadPhoto();
+      }
+    }, RETAKE_DELAY);
+  } else {
+    speech.speak(t('ui.retaking'), 'urgent');
+  }
+}
+
 // Function to disable the app and show Start Over button
 function disableAppAndShowStartOver() {
-  // Cancel the animation frame to stop the camera processing
-  window.cancelAnimationFrame(rafId);
+  // Stop the camera processing and release the camera
+  sessionActive = false;
+  pauseGuidance();
   
   // Hide the Take & Download Photo button
   const takeAndDownloadButton = document.getElementById('take-and-download');
@@ -531,8 +1127,10 @@ function disableAppAndShowStartOver() {
   if (!startOverButton) {
     startOverButton = document.createElement('button');
     startOverButton.id = 'start-over';
-    startOverButton.textContent = 'Take Another Selfie';
-    startOverButton.setAttribute('aria-label', 'Take another selfie');
+    startOverButton.dataset.i18n = 'ui.takeAnotherSelfie';
+    startOverButton.dataset.i18nLabel = 'ui.takeAnotherSelfieLabel';
+    startOverButton.textContent = t('ui.takeAnotherSelfie');
+    startOverButton.setAttribute('aria-label', t('ui.takeAnotherSelfieLabel'));
     startOverButton.style.padding = '10px 20px';
     startOverButton.style.fontSize = '16px';
     startOverButton.style.backgroundColor = '#673AB7';
@@ -555,7 +1153,7 @@ function disableAppAndShowStartOver() {
   } else {
     // Show the existing Start Over button
     startOverButton.style.display = 'block';
-    startOverButton.textContent = 'Take Another Selfie';
+    startOverButton.textContent = t('ui.takeAnotherSelfie');
   }
   
   // Set focus on the button
@@ -565,18 +1163,12 @@ function disableAppAndShowStartOver() {
     }
   }, 100);
   
-  // Announce for screen readers
-  if ('speechSynthesis' in window) {
-    const message = 'Photo has been taken and downloaded. Press the Take Another Selfie button to take a new photo.';
-    const utterance = new SpeechSynthesisUtterance(message);
-    utterance.rate = 1.1;
-    utterance.volume = 1;
-    window.speechSynthesis.speak(utterance);
-  }
+  // Announce for screen readers, after the capture confirmation
+  speech.speak(t('ui.photoTakenStartOver'), 'status');
 }
 
 // Function to start over and reset the app
-function startOver() {
+async function startOver() {
   // Hide the captured photo
   const capturedPhoto = document.getElementById('captured-photo');
   if (capturedPhoto) {
@@ -595,30 +1187,123 @@ function startOver() {
     startOverButton.style.display = 'none';
   }
   
-  // Restart the camera processing
-  rafId = requestAnimationFrame(renderPrediction);
+  // Restart the camera and its processing
+  sessionActive = true;
+  await resumeGuidance();
   
   // Announce for screen readers
-  if ('speechSynthesis' in window) {
-    const message = 'App restarted. You can now take a new photo.';
-    const utterance = new SpeechSynthesisUtterance(message);
-    utterance.rate = 1.1;
-    utterance.volume = 1;
-    window.speechSynthesis.speak(utterance);
+  speech.speak(t('ui.appRestarted'), 'urgent');
+}
+
+// Function to reflect the auto-capture setting on its toggle button
+function updateAutoCaptureButton() {
+  const autoCaptureButton = document.getElementById('auto-capture');
+  if (autoCaptureButton) {
+    const enabled = STATE.autoCapture.enabled;
+    autoCaptureButton.textContent =
+        t(enabled ? 'ui.autoCaptureOnButton' : 'ui.autoCaptureOffButton');
+    autoCaptureButton.setAttribute('aria-pressed', String(enabled));
+  }
+}
+
+// Function to let the user switch auto-capture on and off for this session
+function setupAutoCaptureToggle() {
+  const autoCaptureButton = document.getElementById('auto-capture');
+  if (!autoCaptureButton) return;
+
+  updateAutoCaptureButton();
+  autoCaptureButton.addEventListener('click', () => {
+    STATE.autoCapture.enabled = !STATE.autoCapture.enabled;
+    updateAutoCaptureButton();
+
+    // Announce the new setting for screen reader users
+    speech.speak(STATE.autoCapture.enabled ?
+        t('ui.autoCaptureOn') :
+        t('ui.autoCaptureOff'), 'urgent');
+  });
+}
+
+// Function to reflect the camera in use on the helper mode toggle button
+function updateHelperModeButton() {
+  const helperModeButton = document.getElementById('helper-mode');
+  if (helperModeButton) {
+    const enabled = isPhotographerMode();
+    helperModeButton.textContent =
+        t(enabled ? 'ui.helperModeOnButton' : 'ui.helperModeOffButton');
+    helperModeButton.setAttribute('aria-pressed', String(enabled));
+  }
+}
+
+// Function to switch between the front camera, with guidance for the person in
+// the photo, and the rear camera, with guidance for a helper holding the phone
+function setupHelperModeToggle() {
+  const helperModeButton = document.getElementById('helper-mode');
+  if (!helperModeButton) return;
+
+  updateHelperModeButton();
+  helperModeButton.addEventListener('click', () => {
+    STATE.camera.facingMode = isPhotographerMode() ? 'user' : 'environment';
+    // The camera is switched on the next frame
+    STATE.isFacingModeChanged = true;
+
+    // Announce the new mode for screen reader users
+    speech.speak(STATE.camera.facingMode === 'environment' ?
+        t('ui.helperModeOn') :
+        t('ui.helperModeOff'), 'urgent');
+  });
+}
+
+const SPEECH_OUTPUT_MESSAGES = {
+  voice: {
+    button: 'ui.speechOutputVoiceButton',
+    message: 'ui.speechOutputVoice',
+  },
+  screenReader: {
+    button: 'ui.speechOutputScreenReaderButton',
+    message: 'ui.speechOutputScreenReader',
+  },
+  both: {button: 'ui.speechOutputBothButton', message: 'ui.speechOutputBoth'},
+};
+
+// Function to reflect where messages are spoken on the speech output button
+function updateSpeechOutputButton() {
+  const speechOutputButton = document.getElementById('speech-output');
+  if (speechOutputButton) {
+    speechOutputButton.textContent =
+        t(SPEECH_OUTPUT_MESSAGES[STATE.speechOutput].button);
   }
 }
 
+// Function to cycle between the built-in voice, the screen reader and both, so
+// that screen reader users don't hear every message twice
+function setupSpeechOutputToggle() {
+  const speechOutputButton = document.getElementById('speech-output');
+  if (!speechOutputButton) return;
+
+  updateSpeechOutputButton();
+  speechOutputButton.addEventListener('click', () => {
+    const outputs = Object.keys(SPEECH_OUTPUT_MESSAGES);
+    STATE.speechOutput =
+        outputs[(outputs.indexOf(STATE.speechOutput) + 1) % outputs.length];
+    updateSpeechOutputButton();
+
+    // Stop the voice in case it is no longer used, then confirm the choice
+    // through the new output
+    speech.cancel();
+    speech.speak(t(SPEECH_OUTPUT_MESSAGES[STATE.speechOutput].message),
+        'urgent');
+  });
+}
+
 // Initialize speech synthesis to ensure it works
 function initSpeechSynthesis() {
-  if ('speechSynthesis' in window) {
+  if (speech.isSupported) {
     // Some browsers require a user interaction before allowing speech synthesis
     // This function creates a silent utterance to initialize the speech system
-    const silentUtterance = new SpeechSynthesisUtterance('');
-    silentUtterance.volume = 0;
-    window.speechSynthesis.speak(silentUtterance);
+    speech.prime();
     
     // For mobile browsers, we need user interaction to enable audio
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    const isMobile = MOBILE_USER_AGENT.test(navigator.userAgent);
     
     if (isMobile) {
       // Add an initial audio button that users must click to enable audio on mobile
@@ -626,8 +1311,11 @@ function initSpeechSynthesis() {
       if (container) {
         const enableAudioButton = document.createElement('button');
         enableAudioButton.id = 'enable-audio';
-        enableAudioButton.textContent = 'Enable Voice Guidance';
-        enableAudioButton.setAttribute('aria-label', 'Enable voice guidance for this app');
+        enableAudioButton.dataset.i18n = 'ui.enableVoiceGuidance';
+        enableAudioButton.dataset.i18nLabel = 'ui.enableVoiceGuidanceLabel';
+        enableAudioButton.textContent = t('ui.enableVoiceGuidance');
+        enableAudioButton.setAttribute(
+            'aria-label', t('ui.enableVoiceGuidanceLabel'));
         enableAudioButton.style.padding = '12px 24px';
         enableAudioButton.style.fontSize = '18px';
         enableAudioButton.style.backgroundColor = '#FF9800';
@@ -642,16 +1330,9 @@ function initSpeechSynthesis() {
         
         // Add event listener to initialize audio
         enableAudioButton.addEventListener('click', () => {
-          // Create a real sound to force audio context activation
-          const utterance = new SpeechSynthesisUtterance('Voice guidance is now enabled. You will hear instructions to help you take a selfie.');
-          utterance.volume = 1;
-          utterance.rate = 1.1;
-          utterance.pitch = 1;
-          
           // On iOS, we need to create an AudioContext on user gesture
-          try {
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            const audioContext = new AudioContext();
+          const audioContext = getAudioContext();
+          if (audioContext != null) {
             // Create and play a short beep to unblock audio
             const oscillator = audioContext.createOscillator();
             const gainNode = audioContext.createGain();
@@ -662,13 +1343,10 @@ function initSpeechSynthesis() {
             gainNode.connect(audioContext.destination);
             oscillator.start();
             oscillator.stop(audioContext.currentTime + 0.1);
-          } catch (e) {
-            console.error('Error creating AudioContext:', e);
           }
           
-          // Speak the guidance message
-          window.speechSynthesis.cancel();
-          window.speechSynthesis.speak(utterance);
+          // Speak a real message to force speech activation
+          speech.speak(t('ui.voiceGuidanceEnabled'), 'urgent');
           
           // Remove the button after it's been clicked
           enableAudioButton.style.display = 'none';
@@ -686,14 +1364,9 @@ function initSpeechSynthesis() {
         
         // Function to unblock audio on any touch
         function unblockAudio() {
-          const utterance = new SpeechSynthesisUtterance('');
-          utterance.volume = 0;
-          window.speechSynthesis.speak(utterance);
+          speech.prime();
           
-          try {
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            new AudioContext();
-          } catch (e) {}
+          getAudioContext();
           
           // Only need to do this once
           document.removeEventListener('touchstart', unblockAudio);
@@ -708,8 +1381,10 @@ function initSpeechSynthesis() {
       if (container) {
         const testVoiceButton = document.createElement('button');
         testVoiceButton.id = 'test-voice';
-        testVoiceButton.textContent = 'Test Voice';
-        testVoiceButton.setAttribute('aria-label', 'Test voice output');
+        testVoiceButton.dataset.i18n = 'ui.testVoice';
+        testVoiceButton.dataset.i18nLabel = 'ui.testVoiceLabel';
+        testVoiceButton.textContent = t('ui.testVoice');
+        testVoiceButton.setAttribute('aria-label', t('ui.testVoiceLabel'));
         testVoiceButton.style.padding = '10px 20px';
         testVoiceButton.style.fontSize = '16px';
         testVoiceButton.style.backgroundColor = '#673AB7';
@@ -721,18 +1396,8 @@ function initSpeechSynthesis() {
         
         // Add event listener to test voice button
         testVoiceButton.addEventListener('click', () => {
-          const testMessage = 'Voice output is working. You can now use the face detection app with voice guidance.';
-          const utterance = new SpeechSynthesisUtterance(testMessage);
-          utterance.volume = 1;
-          utterance.rate = 1.1;
-          utterance.pitch = 1;
-          utterance.lang = 'en-US';
-          
-          // Cancel any ongoing speech
-          window.speechSynthesis.cancel();
-          
-          // Speak the test message
-          window.speechSynthesis.speak(utterance);
+          // Speak the test message with the current voice settings
+          speech.speak(t('ui.voiceOutputWorking'), 'urgent');
         });
         
         // Add the button to the page
@@ -746,6 +1411,192 @@ function initSpeechSynthesis() {
   }
 }
 
+// Function to announce the current face position with detailed guidance
+function announcePosition() {
+  // Force announcement of current face position
+  const statusElement = document.getElementById('face-status');
+  if (statusElement) {
+    // Extract the text content without the emoji
+    const statusText = statusElement.textContent
+        .replace('✅', '').replace('❌', '').trim();
+
+    // Create a more detailed message for blind users
+    let message = statusText;
+
+    // Add the directional guidance if available
+    if (window.currentFaceGuidance) {
+      message += '. ' + window.currentFaceGuidance;
+    }
+
+    // Add instructions on how to take a photo
+    if (statusElement.dataset.centered === 'true') {
+      message += '. ' + t('ui.canTakePhoto');
+    }
+
+    // Announce the position right away
+    speech.speak(message, 'urgent');
+  }
+}
+
+// Function to repeat the last guidance, or the centered message once the face
+// is centered
+function repeatGuidance() {
+  const statusElement = document.getElementById('face-status');
+  let message;
+  if (statusElement && statusElement.dataset.centered === 'true') {
+    message = getPhrase(STATE.groupMode ? 'groupCentered' : 'faceCentered');
+  } else {
+    message = speech.getLastGuidance() || window.currentFaceGuidance;
+  }
+  speech.speak(message || t('ui.noGuidanceYet'), 'urgent');
+}
+
+// Function to get the actions of the buttons, shared by voice commands and
+// keyboard and touch shortcuts
+function getCommandActions() {
+  return {
+    capture: () => {
+      if (photoInReview) {
+        speech.speak(t('ui.reviewPending'), 'urgent');
+      } else if (sessionActive) {
+        takeAndDownloadPhoto();
+      } else {
+        speech.speak(t('ui.sayStartOver'), 'urgent');
+      }
+    },
+    repeat: repeatGuidance,
+    describe: announcePosition,
+    download: () => {
+      const downloadPhotoButton = document.getElementById('download-photo');
+      if (downloadPhotoButton && !downloadPhotoButton.disabled) {
+        downloadPhoto();
+      } else {
+        speech.speak(t('ui.noPhotoYet'), 'urgent');
+      }
+    },
+    startOver: () => {
+      if (photoInReview) {
+        retakePhoto(false);
+      } else if (sessionActive) {
+        speech.speak(t('ui.noPhotoYet'), 'urgent');
+      } else {
+        startOver();
+      }
+    },
+    stop: () => {
+      // Stop talking and counting down, but keep listening: "stop" is said to
+      // cut the app off, and may be the only way the user has to give commands
+      speech.cancel();
+      autoCapture.reset();
+    },
+    stopListening: () => {
+      STATE.voiceCommands.enabled = false;
+      applyVoiceCommands();
+    },
+    keep: () => {
+      if (photoInReview) {
+        keepPhoto();
+      } else {
+        speech.speak(t('ui.noPhotoYet'), 'urgent');
+      }
+    },
+    retake: () => {
+      if (photoInReview) {
+        retakePhoto(false);
+      } else {
+        speech.speak(t('ui.noPhotoYet'), 'urgent');
+      }
+    },
+    retakeSame: () => {
+      if (photoInReview) {
+        retakePhoto(true);
+      } else {
+        speech.speak(t('ui.noPhotoYet'), 'urgent');
+      }
+    },
+    switchVersion: () => {
+      if (photoInReview && lastPhoto && lastPhoto.enhancement) {
+        switchPhotoVersion();
+      } else if (photoInReview) {
+        speech.speak(t('ui.noEnhancedVersion'), 'urgent');
+      } else {
+        speech.speak(t('ui.noPhotoYet'), 'urgent');
+      }
+    },
+  };
+}
+
+// Function to run the actions of the buttons from spoken commands. The
+// microphone can be replaced by a stub that hears fixed transcripts, for
+// example ?voiceStub=take photo|repeat
+function createVoiceCommands() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const stubTranscripts = urlParams.get('voiceStub');
+  const createRecognizer = stubTranscripts != null ?
+      createStubRecognizer(stubTranscripts.split('|')) :
+      createSpeechRecognizer;
+  return new VoiceCommands(STATE.voiceCommands, getCommandActions(),
+      createRecognizer, updateVoiceCommandsButtons);
+}
+
+// Function to reflect the voice commands setting on its toggle button, and to
+// show the push-to-listen button when commands are only listened for on request
+function updateVoiceCommandsButtons() {
+  const enabled = STATE.voiceCommands.enabled;
+  const voiceCommandsButton = document.getElementById('voice-commands');
+  if (voiceCommandsButton) {
+    voiceCommandsButton.textContent = t(enabled ?
+        'ui.voiceCommandsOnButton' : 'ui.voiceCommandsOffButton');
+    voiceCommandsButton.setAttribute('aria-pressed', String(enabled));
+  }
+  const pushToListenButton = document.getElementById('push-to-listen');
+  if (pushToListenButton) {
+    pushToListenButton.hidden =
+        !enabled || voiceCommands.mode !== 'pushToListen';
+  }
+}
+
+// Function to start or stop listening according to the voice commands setting
+// and announce the result
+function applyVoiceCommands() {
+  if (!STATE.voiceCommands.enabled) {
+    voiceCommands.stop();
+    speech.speak(t('ui.voiceCommandsOff'), 'urgent');
+  } else if (voiceCommands.start()) {
+    speech.speak(t(voiceCommands.mode === 'pushToListen' ?
+        'ui.voiceCommandsOnPushToListen' : 'ui.voiceCommandsOn'), 'urgent');
+  } else {
+    STATE.voiceCommands.enabled = false;
+    speech.speak(t('ui.voiceCommandsUnsupported'), 'urgent');
+  }
+  updateVoiceCommandsButtons();
+}
+
+// Function to let the user turn voice commands on and off, and to listen for a
+// single command on request
+function setupVoiceCommandsToggle() {
+  const voiceCommandsButton = document.getElementById('voice-commands');
+  if (voiceCommandsButton) {
+    voiceCommandsButton.addEventListener('click', () => {
+      STATE.voiceCommands.enabled = !STATE.voiceCommands.enabled;
+      applyVoiceCommands();
+    });
+  }
+
+  const pushToListenButton = document.getElementById('push-to-listen');
+  if (pushToListenButton) {
+    pushToListenButton.addEventListener('click', () => {
+      speech.cancel();
+      voiceCommands.listenOnce();
+    });
+  }
+
+  updateVoiceCommandsButtons();
+  if (STATE.voiceCommands.enabled) {
+    voiceCommands.start();
+  }
+}
+
 async function app() {
   // Gui content will change depending on which model is in the query string.
   const urlParams = new URLSearchParams(window.location.search);
@@ -758,13 +1609,37 @@ async function app() {
 
   // Always setup dat.gui
   await setupDatGui(urlParams);
+  // Show the page in the language picked from the URL or the browser
+  translatePage();
   stats = setupStats();
 
-  camera = await Camera.setupCamera(STATE.camera);
+  camera = await setupCameraOrReportError();
 
   await setBackendAndEnvFlags(STATE.flags, STATE.backend);
 
   detector = await createDetector();
+  stabilizer = new FaceStabilizer(STATE.stabilizer);
+  autoCapture = new AutoCapture(STATE.autoCapture, takeAndDownloadPhoto);
+  sharpnessMonitor = new SharpnessMonitor(STATE.sharpness);
+  burstCapture = new BurstCapture(STATE.burst);
+  photoHistory = new PhotoHistory(STATE.history);
+  // The history is kept for the session only, unless asked otherwise
+  photoHistory.startSession();
+  historyGallery = new HistoryGallery(photoHistory, {
+    download: (photo) => downloadPhotoFiles(photo.files),
+    share: shareHistoryPhoto,
+  });
+  historyGallery.setup();
+  sonifier = new Sonifier(STATE.sonification);
+  hapticGuide = new HapticGuide(STATE.haptics);
+  voiceCommands = createVoiceCommands();
+  // Keyboard, selfie remote and touch shortcuts, see `shared/shortcuts.js`
+  shortcuts = new InputShortcuts(getCommandActions());
+  shortcuts.attach(document.getElementById('output'));
+  setupAutoCaptureToggle();
+  setupHelperModeToggle();
+  setupSpeechOutputToggle();
+  setupVoiceCommandsToggle();
   
   // Initialize speech synthesis
   initSpeechSynthesis();
@@ -796,40 +1671,34 @@ async function app() {
   
   // Add event listener for the announce position button
   if (announcePositionButton) {
-    announcePositionButton.addEventListener('click', () => {
-      // Force announcement of current face position
-      const statusElement = document.getElementById('face-status');
-      if (statusElement) {
-        // Extract the text content without the emoji
-        const statusText = statusElement.textContent.replace('✅', '').replace('❌', '').trim();
-        
-        // Create a more detailed message for blind users
-        let message = statusText;
-        
-        // Add the directional guidance if available
-        if (window.currentFaceGuidance) {
-          message += '. ' + window.currentFaceGuidance;
-        }
-        
-        // Add instructions on how to take a photo
-        if (statusText.includes('Centered')) {
-          message += '. You can now take a photo by pressing the Take Photo button in the middle of the screen.';
-        }
-        
-        // Use the speech synthesis API to announce the position
-        if ('speechSynthesis' in window) {
-          const utterance = new SpeechSynthesisUtterance(message);
-          utterance.rate = 1.1;
-          utterance.pitch = 1;
-          utterance.volume = 1;
-          window.speechSynthesis.cancel(); // Cancel any ongoing speech
-          window.speechSynthesis.speak(utterance);
-        }
-      }
-    });
+    announcePositionButton.addEventListener('click', announcePosition);
+  }
+
+  // Add event listeners for the choices after the photo is reviewed
+  const keepPhotoButton = document.getElementById('keep-photo');
+  const retakePhotoButton = document.getElementById('retake-photo');
+  const retakeSameButton = document.getElementById('retake-same');
+  if (keepPhotoButton) {
+    keepPhotoButton.addEventListener('click', keepPhoto);
   }
+  if (retakePhotoButton) {
+    retakePhotoButton.addEventListener('click', () => retakePhoto(false));
+  }
+  if (retakeSameButton) {
+    retakeSameButton.addEventListener('click', () => retakePhoto(true));
+  }
+  const photoVersionButton = document.getElementById('photo-version');
+  if (photoVersionButton) {
+    photoVersionButton.addEventListener('click', switchPhotoVersion);
+  }
+
+  // Pause while the page is in the background
+  document.addEventListener('visibilitychange', handleVisibilityChange);
 
-  renderPrediction();
+  // Keep the screen on while guidance is active
+  sessionActive = true;
+  acquireWakeLock();
+  startRenderLoop();
 };
 
 app();
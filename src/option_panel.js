@@ -14,15 +14,22 @@
  * limitations under the License.
  * =============================================================================
  */
+import {LOCALES, detectLocale} from './shared/i18n';
 import {setupModelFolder} from './shared/option_panel';
 import * as params from './shared/params';
+import {loadSpeechSettings, saveSpeechSettings} from './shared/speech';
+
+let cameraFolder;
+let deviceController;
+let speechFolder;
+let voiceController;
 
 export async function setupDatGui(urlParams) {
   const gui = new dat.GUI({width: 300});
   gui.domElement.id = 'gui';
 
   // The camera folder contains options for video settings.
-  const cameraFolder = gui.addFolder('Camera');
+  cameraFolder = gui.addFolder('Camera');
   const fpsController = cameraFolder.add(params.STATE.camera, 'targetFPS');
   fpsController.onFinishChange((_) => {
     params.STATE.isTargetFPSChanged = true;
@@ -32,7 +39,366 @@ export async function setupDatGui(urlParams) {
   sizeController.onChange(_ => {
     params.STATE.isSizeOptionChanged = true;
   });
+  // The rear camera switches the guidance to a helper holding the phone.
+  if (urlParams.get('camera') === 'rear') {
+    params.STATE.camera.facingMode = 'environment';
+  }
+  const facingModeController = cameraFolder.add(
+      params.STATE.camera, 'facingMode', ['user', 'environment']);
+  facingModeController.listen().onChange((_) => {
+    params.STATE.isFacingModeChanged = true;
+  });
+  const deviceIdFromURL = urlParams.get('deviceId');
+  if (deviceIdFromURL != null) {
+    params.STATE.camera.deviceId = deviceIdFromURL;
+  }
+  showCameraDevices([]);
   cameraFolder.open();
 
-  return setupModelFolder(gui, urlParams);
+  // The framing folder selects the profile that the face position is checked
+  // against.
+  const profileFromURL = urlParams.get('profile');
+  if (profileFromURL != null) {
+    if (profileFromURL in params.FRAMING_PROFILES) {
+      params.STATE.framingProfile = profileFromURL;
+    } else {
+      alert(`Unknown framing profile ${profileFromURL}.`);
+    }
+  }
+  const framingFolder = gui.addFolder('Framing');
+  framingFolder.add(
+      params.STATE, 'framingProfile', Object.keys(params.FRAMING_PROFILES));
+  framingFolder.open();
+
+  // The guidance folder selects between spoken directions and sonification
+  // tones.
+  const guidanceModeFromURL = urlParams.get('guidance');
+  if (params.GUIDANCE_MODES.indexOf(guidanceModeFromURL) > -1) {
+    params.STATE.guidanceMode = guidanceModeFromURL;
+  }
+  const guidanceFolder = gui.addFolder('Guidance');
+  guidanceFolder.add(params.STATE, 'guidanceMode', params.GUIDANCE_MODES);
+  // The language asked for in the URL wins over the browser languages.
+  const browserLanguages = navigator.languages || [navigator.language];
+  params.STATE.locale =
+      detectLocale([urlParams.get('lang')].concat(browserLanguages));
+  guidanceFolder.add(params.STATE, 'locale', Object.keys(LOCALES))
+      .name('language')
+      .onChange(() => {
+        params.STATE.isLocaleChanged = true;
+      });
+  guidanceFolder.add(
+      params.STATE.sonification, 'baseFrequency', 110, 1760).step(10);
+  guidanceFolder.add(params.STATE.sonification, 'octaves', 0, 2).step(0.1);
+  guidanceFolder.add(params.STATE.sonification, 'volume', 0, 1).step(0.05);
+  const hapticsFromURL = urlParams.get('haptics');
+  if (hapticsFromURL != null) {
+    params.STATE.haptics.enabled =
+        ['true', '1', 'on'].indexOf(hapticsFromURL) > -1;
+  }
+  guidanceFolder.add(params.STATE.haptics, 'enabled').name('haptics');
+  guidanceFolder.add(params.STATE.haptics, 'interval', 500, 5000).step(100)
+      .name('haptic interval');
+  guidanceFolder.add(params.STATE.haptics, 'maxNoFaceRepeats', 0, 10).step(1)
+      .name('no face repeats');
+  guidanceFolder.open();
+
+  // The speech folder contains the voice settings, which are remembered
+  // between visits.
+  loadSpeechSettings();
+  const speechOutputFromURL = urlParams.get('output');
+  if (params.SPEECH_OUTPUTS.indexOf(speechOutputFromURL) > -1) {
+    params.STATE.speechOutput = speechOutputFromURL;
+  }
+  speechFolder = gui.addFolder('Speech');
+  speechFolder.add(params.STATE, 'speechOutput', params.SPEECH_OUTPUTS)
+      .name('output')
+      .listen()
+      .onChange(() => {
+        params.STATE.isSpeechOutputChanged = true;
+      });
+  speechFolder.add(params.STATE.liveRegions, 'interval', 0, 10000).step(500)
+      .name('screen reader interval');
+  speechFolder.add(params.STATE.speech, 'rate', 0.5, 2).step(0.1)
+      .onFinishChange(saveSpeechSettings);
+  speechFolder.add(params.STATE.speech, 'pitch', 0, 2).step(0.1)
+      .onFinishChange(saveSpeechSettings);
+  speechFolder.add(params.STATE.speech, 'volume', 0, 1).step(0.05)
+      .onFinishChange(saveSpeechSettings);
+  speechFolder.add(
+      params.STATE.speech, 'guidanceRepeatInterval', 0, 20000).step(500);
+  if ('speechSynthesis' in window) {
+    // Voices are loaded asynchronously by some browsers
+    showSpeechVoices();
+    window.speechSynthesis.addEventListener('voiceschanged', showSpeechVoices);
+  }
+  speechFolder.open();
+
+  // The voice commands folder turns listening for spoken commands on and off.
+  const voiceCommandsFromURL = urlParams.get('voiceCommands');
+  if (voiceCommandsFromURL === 'pushToListen') {
+    params.STATE.voiceCommands.enabled = true;
+    params.STATE.voiceCommands.mode = 'pushToListen';
+  } else if (voiceCommandsFromURL != null) {
+    params.STATE.voiceCommands.enabled =
+        ['true', '1', 'on'].indexOf(voiceCommandsFromURL) > -1;
+  }
+  const voiceCommandsFolder = gui.addFolder('Voice commands');
+  voiceCommandsFolder.add(params.STATE.voiceCommands, 'enabled')
+      .listen()
+      .onChange(() => {
+        params.STATE.isVoiceCommandsChanged = true;
+      });
+  voiceCommandsFolder.add(
+      params.STATE.voiceCommands, 'mode', ['continuous', 'pushToListen'])
+      .onChange(() => {
+        params.STATE.isVoiceCommandsChanged = true;
+      });
+  voiceCommandsFolder.open();
+
+  // The auto-capture folder contains options for taking the photo hands-free.
+  const autoCaptureFromURL = urlParams.get('autoCapture');
+  if (autoCaptureFromURL != null) {
+    params.STATE.autoCapture.enabled =
+        ['true', '1', 'on'].indexOf(autoCaptureFromURL) > -1;
+  }
+  const autoCaptureFeedbackFromURL = urlParams.get('autoCaptureFeedback');
+  if (autoCaptureFeedbackFromURL === 'speech' ||
+      autoCaptureFeedbackFromURL === 'beep') {
+    params.STATE.autoCapture.feedback = autoCaptureFeedbackFromURL;
+  }
+  const autoCaptureFolder = gui.addFolder('Auto-capture');
+  autoCaptureFolder.add(params.STATE.autoCapture, 'enabled')
+      .listen()
+      .onChange((_) => {
+        params.STATE.isAutoCaptureChanged = true;
+      });
+  autoCaptureFolder.add(params.STATE.autoCapture, 'holdTime', 0, 5000)
+      .step(100);
+  autoCaptureFolder.add(params.STATE.autoCapture, 'countdownFrom', 1, 5)
+      .step(1);
+  autoCaptureFolder.add(
+      params.STATE.autoCapture, 'feedback', ['speech', 'beep']);
+
+  // The review folder contains options for the report read out after the
+  // photo is taken.
+  const reviewFromURL = urlParams.get('review');
+  if (reviewFromURL != null) {
+    params.STATE.review.enabled =
+        ['true', '1', 'on'].indexOf(reviewFromURL) > -1;
+  }
+  const reviewFolder = gui.addFolder('Review');
+  reviewFolder.add(params.STATE.review, 'enabled');
+  reviewFolder.add(params.STATE.review, 'brightnessMargin', 0, 100).step(5);
+
+  // The sharpness folder contains the thresholds for blur and camera shake.
+  const sharpnessFolder = gui.addFolder('Sharpness');
+  sharpnessFolder.add(params.STATE.sharpness, 'enabled');
+  sharpnessFolder.add(params.STATE.sharpness, 'minSharpness', 0, 300).step(5);
+  sharpnessFolder.add(params.STATE.sharpness, 'maxMotion', 0, 0.2)
+      .step(0.005);
+  sharpnessFolder.add(
+      params.STATE.sharpness, 'onBlurryCapture', ['block', 'warn']);
+
+  // The photo folder contains the resolution, file format and orientation of
+  // the saved photo.
+  const formatFromURL = urlParams.get('format');
+  if (params.PHOTO_FORMATS.indexOf(formatFromURL) > -1) {
+    params.STATE.photo.format = formatFromURL;
+  }
+  const mirrorFromURL = urlParams.get('mirror');
+  if (mirrorFromURL != null) {
+    params.STATE.photo.mirror =
+        ['true', '1', 'on'].indexOf(mirrorFromURL) > -1;
+  }
+  const photoFolder = gui.addFolder('Photo');
+  photoFolder.add(params.STATE.photo, 'fullResolution');
+  photoFolder.add(params.STATE.photo, 'format', params.PHOTO_FORMATS);
+  photoFolder.add(params.STATE.photo, 'quality', 0.5, 1).step(0.01);
+  photoFolder.add(params.STATE.photo, 'mirror');
+
+  // The burst folder contains how many frames around the trigger are compared
+  // to pick the photo.
+  const burstFromURL = urlParams.get('burst');
+  if (burstFromURL != null) {
+    params.STATE.burst.enabled =
+        ['true', '1', 'on'].indexOf(burstFromURL) > -1;
+  }
+  const burstFolder = gui.addFolder('Burst');
+  burstFolder.add(params.STATE.burst, 'enabled');
+  burstFolder.add(params.STATE.burst, 'framesBefore', 0, 10).step(1);
+  burstFolder.add(params.STATE.burst, 'framesAfter', 0, 10).step(1);
+
+  // The enhancement folder contains the corrections offered for the photo.
+  const enhanceFromURL = urlParams.get('enhance');
+  if (enhanceFromURL != null) {
+    params.STATE.enhance.enabled =
+        ['true', '1', 'on'].indexOf(enhanceFromURL) > -1;
+  }
+  const enhanceFolder = gui.addFolder('Enhancement');
+  enhanceFolder.add(params.STATE.enhance, 'enabled');
+  enhanceFolder.add(params.STATE.enhance, 'exposure');
+  enhanceFolder.add(params.STATE.enhance, 'targetBrightness', 70, 200)
+      .step(5);
+  enhanceFolder.add(params.STATE.enhance, 'whiteBalance');
+  enhanceFolder.add(params.STATE.enhance, 'denoise');
+
+  // The export folder contains the crops saved with the photo, for example
+  // ?crops=passport,avatar.
+  const cropsFromURL = urlParams.get('crops');
+  if (cropsFromURL != null) {
+    cropsFromURL.split(',').forEach((preset) => {
+      if (preset in params.CROP_PRESETS) {
+        params.STATE.export[preset] = true;
+      }
+    });
+  }
+  const exportFolder = gui.addFolder('Export');
+  exportFolder.add(params.STATE.export, 'original');
+  Object.keys(params.CROP_PRESETS).forEach((preset) => {
+    exportFolder.add(params.STATE.export, preset);
+  });
+  exportFolder.add(params.STATE.export, 'zip');
+
+  // The metadata folder contains what is written into the saved files. The
+  // location is never taken from the URL, it has to be turned on here.
+  const metadataFolder = gui.addFolder('Metadata');
+  metadataFolder.add(params.STATE.metadata, 'enabled');
+  metadataFolder.add(params.STATE.metadata, 'description');
+  metadataFolder.add(params.STATE.metadata, 'location');
+  metadataFolder.add(params.STATE.metadata, 'author');
+
+  // The history folder contains how many saved photos are kept on the device,
+  // and whether they are kept after the tab is closed.
+  const historyFolder = gui.addFolder('History');
+  historyFolder.add(params.STATE.history, 'enabled');
+  historyFolder.add(params.STATE.history, 'maxPhotos', 1, 100).step(1);
+  historyFolder.add(params.STATE.history, 'keepAcrossVisits');
+
+  // The lighting folder contains the thresholds for dark, bright, backlit and
+  // unevenly lit faces.
+  const lightingFolder = gui.addFolder('Lighting');
+  lightingFolder.add(params.STATE.lighting, 'enabled');
+  lightingFolder.add(params.STATE.lighting, 'minBrightness', 0, 255).step(5);
+  lightingFolder.add(params.STATE.lighting, 'maxBrightness', 0, 255).step(5);
+  lightingFolder.add(params.STATE.lighting, 'maxBacklight', 0, 255).step(5);
+  lightingFolder.add(params.STATE.lighting, 'maxSideBalance', 0, 1)
+      .step(0.05);
+
+  // The stabilizer folder contains options for smoothing the detections and
+  // debouncing the centered state.
+  const stabilizerFolder = gui.addFolder('Stabilizer');
+  stabilizerFolder.add(params.STATE.stabilizer, 'minScore', 0, 1).step(0.05);
+  stabilizerFolder.add(params.STATE.stabilizer, 'smoothing', 0, 0.95)
+      .step(0.05);
+  stabilizerFolder.add(params.STATE.stabilizer, 'exitSlack', 1, 3).step(0.1);
+  stabilizerFolder.add(params.STATE.stabilizer, 'dwellTime', 0, 3000)
+      .step(100);
+
+  // The head pose folder contains the angle limits, in degrees, within which
+  // the head is considered to be facing the camera.
+  const headPoseFolder = gui.addFolder('Head pose');
+  headPoseFolder.add(params.STATE.headPose, 'maxYaw', 0, 45).step(1);
+  headPoseFolder.add(params.STATE.headPose, 'maxPitch', 0, 45).step(1);
+  headPoseFolder.add(params.STATE.headPose, 'maxRoll', 0, 45).step(1);
+
+  await setupModelFolder(gui, urlParams);
+
+  // The group folder switches between guiding a single person and guiding
+  // everyone in frame. Group mode needs the detector to look for more than one
+  // face, so it raises `maxFaces` when switched on.
+  const groupFolder = gui.addFolder('Group');
+  const groupModeController = groupFolder.add(params.STATE, 'groupMode');
+  groupModeController.onChange((groupMode) => {
+    if (groupMode) {
+      useGroupMaxFaces();
+      gui.updateDisplay();
+    }
+  });
+  groupFolder.add(params.STATE.group, 'margin', 0, 0.25).step(0.01);
+  groupFolder.add(params.STATE.group, 'minFaceHeight', 0, 0.5).step(0.01);
+  if (urlParams.get('mode') === 'group') {
+    // The detector has not been created yet, so there is no need to flag a
+    // model change.
+    params.STATE.groupMode = true;
+    params.STATE.modelConfig.maxFaces = Math.max(
+        params.STATE.modelConfig.maxFaces, params.STATE.group.maxFaces);
+    gui.updateDisplay();
+  }
+  groupFolder.open();
+
+  // The privacy folder hides the faces of bystanders, for example
+  // ?anonymize=blur. Any other value that turns it on pixelates them. Like
+  // group mode, it needs the detector to look for more than one face.
+  const anonymizeFromURL = urlParams.get('anonymize');
+  if (params.ANONYMIZE_STYLES.indexOf(anonymizeFromURL) > -1) {
+    params.STATE.anonymize.enabled = true;
+    params.STATE.anonymize.style = anonymizeFromURL;
+  } else if (anonymizeFromURL != null) {
+    params.STATE.anonymize.enabled =
+        ['true', '1', 'on'].indexOf(anonymizeFromURL) > -1;
+  }
+  if (params.STATE.anonymize.enabled) {
+    // The detector has not been created yet, so there is no need to flag a
+    // model change.
+    params.STATE.modelConfig.maxFaces = Math.max(
+        params.STATE.modelConfig.maxFaces, params.STATE.group.maxFaces);
+    gui.updateDisplay();
+  }
+  const privacyFolder = gui.addFolder('Privacy');
+  privacyFolder.add(params.STATE.anonymize, 'enabled')
+      .name('hide bystanders')
+      .onChange((enabled) => {
+        if (enabled) {
+          useGroupMaxFaces();
+          gui.updateDisplay();
+        }
+      });
+  privacyFolder.add(params.STATE.anonymize, 'style', params.ANONYMIZE_STYLES);
+  privacyFolder.add(params.STATE.anonymize, 'padding', 0, 1).step(0.05);
+
+  return gui;
+}
+
+function useGroupMaxFaces() {
+  if (params.STATE.modelConfig.maxFaces < params.STATE.group.maxFaces) {
+    params.STATE.modelConfig.maxFaces = params.STATE.group.maxFaces;
+    params.STATE.isModelChanged = true;
+  }
+}
+
+/**
+ * Show the cameras of the device as options of the camera folder.
+ * @param {Array<MediaDeviceInfo>} devices From `Camera.getVideoInputs`.
+ */
+export function showCameraDevices(devices) {
+  if (deviceController != null) {
+    cameraFolder.remove(deviceController);
+  }
+  // An empty device id picks the camera by facing mode.
+  const options = {'default': ''};
+  devices.forEach((device, i) => {
+    options[device.label || `Camera ${i + 1}`] = device.deviceId;
+  });
+  deviceController =
+      cameraFolder.add(params.STATE.camera, 'deviceId', options);
+  deviceController.name('device').onChange((_) => {
+    params.STATE.isCameraDeviceChanged = true;
+  });
+}
+
+/**
+ * Show the installed voices as options of the speech folder.
+ */
+function showSpeechVoices() {
+  if (voiceController != null) {
+    speechFolder.remove(voiceController);
+  }
+  // An empty voice picks the default voice of the language.
+  const options = {'default': ''};
+  window.speechSynthesis.getVoices().forEach((voice) => {
+    options[`${voice.name} (${voice.lang})`] = voice.voiceURI;
+  });
+  voiceController = speechFolder.add(params.STATE.speech, 'voice', options);
+  voiceController.onChange(saveSpeechSettings);
 }
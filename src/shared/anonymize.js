@@ -0,0 +1,105 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+// Size of the pixelation blocks and radius of the blur, relative to the width
+// of the face
+const PIXELATE_BLOCKS = 8;
+const BLUR_RADIUS = 0.15;
+
+let sampleCanvas;
+
+function getSampleContext(width, height) {
+  if (sampleCanvas == null) {
+    sampleCanvas = document.createElement('canvas');
+  }
+  sampleCanvas.width = width;
+  sampleCanvas.height = height;
+  return sampleCanvas.getContext('2d');
+}
+
+// Grow a face box by `padding` on every side, to cover the hair and ears,
+// within the bounds of the canvas
+function padBox(box, padding, width, height) {
+  const padX = (box.xMax - box.xMin) * padding;
+  const padY = (box.yMax - box.yMin) * padding;
+  const x = Math.max(0, Math.floor(box.xMin - padX));
+  const y = Math.max(0, Math.floor(box.yMin - padY));
+  return {
+    x,
+    y,
+    width: Math.min(width, Math.ceil(box.xMax + padX)) - x,
+    height: Math.min(height, Math.ceil(box.yMax + padY)) - y,
+  };
+}
+
+function pixelate(ctx, region) {
+  const blocksX = PIXELATE_BLOCKS;
+  const blocksY =
+      Math.max(1, Math.round(PIXELATE_BLOCKS * region.height / region.width));
+  const sampleCtx = getSampleContext(blocksX, blocksY);
+  sampleCtx.drawImage(ctx.canvas, region.x, region.y, region.width,
+      region.height, 0, 0, blocksX, blocksY);
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(sampleCanvas, 0, 0, blocksX, blocksY, region.x, region.y,
+      region.width, region.height);
+  ctx.restore();
+}
+
+function blur(ctx, region) {
+  // The blur is drawn from a copy, since a canvas can't be filtered into
+  // itself, and clipped so that it does not bleed around the face
+  const sampleCtx = getSampleContext(region.width, region.height);
+  sampleCtx.drawImage(ctx.canvas, region.x, region.y, region.width,
+      region.height, 0, 0, region.width, region.height);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(region.x, region.y, region.width, region.height);
+  ctx.clip();
+  ctx.filter = `blur(${Math.ceil(region.width * BLUR_RADIUS)}px)`;
+  ctx.drawImage(sampleCanvas, region.x, region.y);
+  ctx.restore();
+}
+
+/**
+ * Hide faces in a photo by pixelating or blurring them.
+ *
+ * Browsers without canvas filters can't blur, so the faces are pixelated
+ * there instead.
+ * @param {HTMLCanvasElement} canvas The photo, changed in place.
+ * @param {Array<Object>} boxes The boxes of the faces to hide, in the
+ *     coordinates of the photo.
+ * @param config From app `STATE.anonymize`.
+ * @returns {number} The number of faces hidden.
+ */
+export function anonymizeFaces(canvas, boxes, config) {
+  const ctx = canvas.getContext('2d');
+  const canBlur = 'filter' in ctx;
+  let count = 0;
+  boxes.forEach((box) => {
+    const region = padBox(box, config.padding, canvas.width, canvas.height);
+    if (region.width <= 0 || region.height <= 0) return;
+
+    if (config.style === 'blur' && canBlur) {
+      blur(ctx, region);
+    } else {
+      pixelate(ctx, region);
+    }
+    count++;
+  });
+  return count;
+}
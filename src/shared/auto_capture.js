@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getAudioContext} from './audio';
+import {t} from './i18n';
+import {speech} from './speech';
+
+const COUNTDOWN_STEP_MILLISECONDS = 1000;
+
+/**
+ * Play a short beep, a higher one for the final step of the countdown.
+ * @param {boolean} final Whether this is the last beep before the capture.
+ */
+function playCountdownBeep(final) {
+  const audioContext = getAudioContext();
+  if (audioContext == null) return;
+
+  const oscillator = audioContext.createOscillator();
+  const gainNode = audioContext.createGain();
+
+  oscillator.type = 'sine';
+  oscillator.frequency.setValueAtTime(final ? 1320 : 880,
+      audioContext.currentTime);
+  gainNode.gain.setValueAtTime(0.2, audioContext.currentTime);
+  gainNode.gain.exponentialRampToValueAtTime(
+      0.01, audioContext.currentTime + 0.15);
+
+  oscillator.connect(gainNode);
+  gainNode.connect(audioContext.destination);
+
+  oscillator.start();
+  oscillator.stop(audioContext.currentTime + 0.15);
+}
+
+/**
+ * Takes the photo hands-free once the face has stayed centered.
+ *
+ * After the face has been centered for `holdTime` milliseconds a countdown is
+ * announced, either spoken ("Hold still. 3, 2, 1") or beeped. Any frame in
+ * which the face is not centered cancels the countdown.
+ */
+export class AutoCapture {
+  /**
+   * @param config From app `STATE.autoCapture`.
+   * @param {function()} onCapture Called when the countdown completes.
+   */
+  constructor(config, onCapture) {
+    this.config = config;
+    this.onCapture = onCapture;
+    this.centeredSince = null;
+    this.countdownTimer = null;
+  }
+
+  get isCountingDown() {
+    return this.countdownTimer != null;
+  }
+
+  /**
+   * Feed the stabilized centered state of the current frame.
+   * @param {boolean} centered Whether the face is centered.
+   * @param {number} now Timestamp in milliseconds.
+   */
+  update(centered, now = Date.now()) {
+    if (!this.config.enabled) {
+      this.reset();
+      return;
+    }
+
+    if (!centered) {
+      if (this.isCountingDown) {
+        this.cancelCountdown();
+        speech.speak(t('ui.countdownCancelled'), 'urgent');
+      }
+      this.centeredSince = null;
+      return;
+    }
+
+    if (this.centeredSince == null) {
+      this.centeredSince = now;
+    }
+    if (!this.isCountingDown &&
+        now - this.centeredSince >= this.config.holdTime) {
+      this.startCountdown();
+    }
+  }
+
+  startCountdown() {
+    const useSpeech = this.config.feedback === 'speech';
+    if (useSpeech) {
+      speech.speak(t('ui.countdownHoldStill'), 'urgent');
+    }
+
+    let remaining = this.config.countdownFrom;
+    const step = () => {
+      if (remaining === 0) {
+        this.countdownTimer = null;
+        this.centeredSince = null;
+        this.onCapture();
+        return;
+      }
+      if (useSpeech) {
+        speech.speak(String(remaining), 'urgent');
+      } else {
+        playCountdownBeep(remaining === 1);
+      }
+      remaining--;
+      this.countdownTimer = setTimeout(step, COUNTDOWN_STEP_MILLISECONDS);
+    };
+    this.countdownTimer = setTimeout(step, COUNTDOWN_STEP_MILLISECONDS);
+  }
+
+  cancelCountdown() {
+    clearTimeout(this.countdownTimer);
+    this.countdownTimer = null;
+  }
+
+  reset() {
+    this.cancelCountdown();
+    this.centeredSince = null;
+  }
+}
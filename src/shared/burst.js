@@ -0,0 +1,208 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getFaceScore} from './face_stabilizer';
+import {t} from './i18n';
+import {FRAMING_PROFILES, STATE} from './params';
+import {measureSharpness} from './sharpness';
+import {getFacePositionHints, getPrimaryFace} from './util';
+
+/**
+ * The criteria frames are scored on, each from 0 to 1, in the order they are
+ * given as reasons for picking a frame.
+ */
+export const BURST_CRITERIA = ['sharpness', 'centering', 'size', 'confidence'];
+
+// Extra time to wait for the frames after the trigger, in case the page stops
+// rendering
+const BURST_TIMEOUT = 1000;
+
+/**
+ * Score how well a face matches the framing profile in use.
+ * @param {Object} face The face.
+ * @param {number} width The width of the image the face is in.
+ * @param {number} height The height of the image the face is in.
+ * @returns {{centering: number, size: number}} From 0 to 1, how close the
+ *     face is to the center of the frame region and how well its size fits.
+ */
+export function scoreFraming(face, width, height) {
+  const profile = FRAMING_PROFILES[STATE.framingProfile];
+  const {offsetX, offsetY, sizeError} =
+      getFacePositionHints(face, width, height, profile);
+  // Offsets up to three times the tolerance still get some credit
+  return {
+    centering: Math.max(
+        0, 1 - Math.hypot(offsetX, offsetY) / (profile.tolerance * 3)),
+    size: Math.max(0, 1 - Math.abs(sizeError) / profile.tolerance),
+  };
+}
+
+/**
+ * Score a frame on how well the face is centered, how well its size matches
+ * the framing profile, how sharp it is and how confident the detection is.
+ * @param {HTMLCanvasElement} frame The frame.
+ * @param {Array<Object>} faces The faces detected in the frame.
+ * @returns {Object} A score from 0 to 1 for each of `BURST_CRITERIA`, and
+ *     their mean as `total`. All scores are 0 without a face.
+ */
+export function scoreFrame(frame, faces) {
+  const scores = {total: 0};
+  BURST_CRITERIA.forEach((criterion) => {
+    scores[criterion] = 0;
+  });
+  if (faces.length === 0) return scores;
+
+  const face = getPrimaryFace(faces, frame.width, frame.height);
+  Object.assign(scores, scoreFraming(face, frame.width, frame.height));
+  // Twice the blur threshold counts as fully sharp
+  scores.sharpness = Math.min(1,
+      measureSharpness(frame, face.box) / (STATE.sharpness.minSharpness * 2));
+  const confidence = getFaceScore(face);
+  scores.confidence = confidence != null ? confidence : 0;
+
+  scores.total = BURST_CRITERIA.reduce(
+      (sum, criterion) => sum + scores[criterion], 0) / BURST_CRITERIA.length;
+  return scores;
+}
+
+/**
+ * Keeps the last video frames and the faces detected in them, so that a
+ * photo can be picked from the frames just before and just after the trigger.
+ */
+export class BurstCapture {
+  /**
+   * @param config From app `STATE.burst`.
+   */
+  constructor(config) {
+    this.config = config;
+    this.canvases = [];
+    this.nextCanvas = 0;
+    this.recent = [];
+    this.pending = null;
+  }
+
+  get size() {
+    return this.config.framesBefore + this.config.framesAfter + 1;
+  }
+
+  // Frames are copied into a pool of canvases, large enough that the frames
+  // of a burst are not overwritten before the best one is used
+  getCanvas(width, height) {
+    if (this.canvases.length !== this.size) {
+      this.canvases = [];
+      this.nextCanvas = 0;
+      for (let i = 0; i < this.size; i++) {
+        this.canvases.push(document.createElement('canvas'));
+      }
+    }
+    const canvas = this.canvases[this.nextCanvas];
+    this.nextCanvas = (this.nextCanvas + 1) % this.canvases.length;
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Keep a frame of the video.
+   * @param {HTMLVideoElement} video The video.
+   * @param {Array<Object>} faces The faces detected in the frame, before they
+   *     are smoothed.
+   */
+  addFrame(video, faces) {
+    if (!this.config.enabled) {
+      this.recent = [];
+      return;
+    }
+
+    const canvas = this.getCanvas(video.videoWidth, video.videoHeight);
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    const frame = {canvas, faces, scores: scoreFrame(canvas, faces)};
+
+    if (this.pending != null) {
+      this.pending.frames.push(frame);
+      if (this.pending.frames.length >=
+          this.pending.before + this.config.framesAfter) {
+        this.finish();
+      }
+      return;
+    }
+    this.recent.push(frame);
+    if (this.recent.length > this.config.framesBefore) {
+      this.recent.shift();
+    }
+  }
+
+  /**
+   * Pick the best frame among the frames before the trigger and the frames
+   * that follow it.
+   * @returns {Promise<Object>} `frame` with its `canvas`, `faces` and
+   *     `scores`, `count` of frames considered, and `reasons`: the criteria in
+   *     which the frame beats or equals all others. The frame is null if no
+   *     frame was kept.
+   */
+  capture() {
+    if (this.pending != null) {
+      return this.pending.promise;
+    }
+    const pending = {frames: this.recent, before: this.recent.length};
+    this.recent = [];
+    pending.promise = new Promise((resolve) => {
+      pending.resolve = resolve;
+    });
+    pending.timer = setTimeout(() => this.finish(),
+        this.config.framesAfter * 100 + BURST_TIMEOUT);
+    this.pending = pending;
+    if (this.config.framesAfter === 0) {
+      this.finish();
+    }
+    return pending.promise;
+  }
+
+  finish() {
+    const pending = this.pending;
+    if (pending == null) return;
+    this.pending = null;
+    clearTimeout(pending.timer);
+
+    const frames = pending.frames;
+    const best = frames.reduce((bestFrame, frame) =>
+      bestFrame == null || frame.scores.total > bestFrame.scores.total ?
+          frame :
+          bestFrame, null);
+    const reasons = best == null ? [] : BURST_CRITERIA.filter(
+        (criterion) => best.scores[criterion] > 0 && frames.every(
+            (frame) => best.scores[criterion] >= frame.scores[criterion]));
+    pending.resolve({frame: best, count: frames.length, reasons});
+  }
+
+  reset() {
+    this.recent = [];
+    this.finish();
+  }
+}
+
+/**
+ * Explain which frame of a burst was kept, for example "Best of 7 frames:
+ * sharpest, best centered."
+ * @param result From `BurstCapture.capture`.
+ * @returns {string} The explanation.
+ */
+export function describeBurst(result) {
+  const reasons = result.reasons.length > 0 ?
+      result.reasons.map((reason) => t(`burst.${reason}`)) :
+      [t('burst.balance')];
+  return t('burst.result', {count: result.count, reasons: reasons.join(', ')});
+}
@@ -0,0 +1,136 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {CROP_PRESETS, FRAMING_PROFILES} from './params';
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Output sizes of a crop preset.
+ * @param {Object} preset One of `CROP_PRESETS`.
+ * @returns {Array<{width: number, height: number, name: string}>} Sizes in
+ *     pixels, with a name used in file names.
+ */
+export function getCropSizes(preset) {
+  if (preset.dpi) {
+    return [{
+      width: Math.round(preset.widthMm / MM_PER_INCH * preset.dpi),
+      height: Math.round(preset.heightMm / MM_PER_INCH * preset.dpi),
+      name: `${preset.widthMm}x${preset.heightMm}mm`,
+    }];
+  }
+  return preset.sizes.map(([width, height]) => ({
+    width,
+    height,
+    name: width === height ? `${width}` : `${width}x${height}`,
+  }));
+}
+
+/**
+ * Where the face goes in the crop of a preset.
+ *
+ * A preset with a framing profile takes the middle of the allowed face size
+ * and the target center of that profile, which also puts the eyes in its eye
+ * line band.
+ * @param {Object} preset One of `CROP_PRESETS`.
+ * @returns {{faceHeight: number, faceCenterY: number}}
+ */
+export function getCropFraming(preset) {
+  if (preset.framingProfile == null) {
+    return {faceHeight: preset.faceHeight, faceCenterY: preset.faceCenterY};
+  }
+  const profile = FRAMING_PROFILES[preset.framingProfile];
+  const [minFaceHeight, maxFaceHeight] = profile.faceHeight;
+  return {
+    faceHeight: (minFaceHeight + maxFaceHeight) / 2,
+    faceCenterY: profile.center.y,
+  };
+}
+
+/**
+ * The region of a photo to crop for a preset, placed around the face.
+ *
+ * The crop is sized so that the face box takes `faceHeight` of its height, and
+ * placed so that the center of the face box is at `faceCenterY`, see
+ * `getCropFraming`. A crop that
+ * doesn't fit in the photo is made smaller, which leaves less room around the
+ * face, then moved inside the photo.
+ * @param {Object} box The face box in the photo, or null to crop around the
+ *     center of the photo.
+ * @param {number} imageWidth The width of the photo.
+ * @param {number} imageHeight The height of the photo.
+ * @param {Object} preset One of `CROP_PRESETS`.
+ * @returns {{x: number, y: number, width: number, height: number}} The region.
+ */
+export function getCropRect(box, imageWidth, imageHeight, preset) {
+  const [size] = getCropSizes(preset);
+  const aspectRatio = size.width / size.height;
+  const framing = getCropFraming(preset);
+
+  let height = box != null ?
+      (box.yMax - box.yMin) / framing.faceHeight :
+      imageHeight;
+  let width = height * aspectRatio;
+  const fit = Math.min(1, imageWidth / width, imageHeight / height);
+  width *= fit;
+  height *= fit;
+
+  const centerX = box != null ? (box.xMin + box.xMax) / 2 : imageWidth / 2;
+  const centerY = box != null ? (box.yMin + box.yMax) / 2 : imageHeight / 2;
+  const faceCenterY = box != null ? framing.faceCenterY : 0.5;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    x: clamp(centerX - width / 2, imageWidth - width),
+    y: clamp(centerY - height * faceCenterY, imageHeight - height),
+    width,
+    height,
+  };
+}
+
+/**
+ * Crop a photo around the face for each preset picked in the export settings.
+ * @param {HTMLCanvasElement} canvas The photo.
+ * @param {Object} box The face box in the photo, or null if no face was
+ *     detected.
+ * @param config From app `STATE.export`.
+ * @returns {Array<{canvas: HTMLCanvasElement, suffix: string, dpi: number}>}
+ *     The crops, with a suffix for their file name and, for prints, their
+ *     resolution.
+ */
+export function createCrops(canvas, box, config) {
+  const crops = [];
+  Object.keys(CROP_PRESETS).forEach((presetName) => {
+    if (!config[presetName]) return;
+
+    const preset = CROP_PRESETS[presetName];
+    const rect = getCropRect(box, canvas.width, canvas.height, preset);
+    getCropSizes(preset).forEach((size) => {
+      const crop = document.createElement('canvas');
+      crop.width = size.width;
+      crop.height = size.height;
+      const ctx = crop.getContext('2d');
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(canvas, rect.x, rect.y, rect.width, rect.height,
+          0, 0, size.width, size.height);
+      crops.push({
+        canvas: crop,
+        suffix: `${presetName}_${size.name}`,
+        dpi: preset.dpi || 0,
+      });
+    });
+  });
+  return crops;
+}
@@ -0,0 +1,297 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {t} from './i18n';
+
+// The white balance gains are kept within this range, so that a scene that
+// really is mostly one color is not turned gray
+const MIN_GAIN = 0.8;
+const MAX_GAIN = 1.25;
+// The levels are not stretched further than this, so that a dark scene stays
+// dark and a bright one stays bright
+const MAX_BLACK_POINT = 40;
+const MIN_WHITE_POINT = 200;
+// Fraction of the pixels clipped at each end by the levels
+const CLIP_FRACTION = 0.005;
+// Range of the gamma, below 1 brightens and above 1 darkens
+const MIN_GAMMA = 0.5;
+const MAX_GAMMA = 2;
+// Neighbors whose luma differs more than this are edges and are not averaged
+const DENOISE_THRESHOLD = 12;
+// The photo is measured on a copy whose longest side is at most this long
+const ANALYSIS_SIZE = 512;
+// Rows corrected between two breaks that let the page and speech go on
+const ROWS_PER_STEP = 64;
+
+function nextTask() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function getLuma(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Gray-world white balance: the gains that make the mean of each channel
+ * equal to the mean of all three.
+ * @param {Uint8ClampedArray} data RGBA pixels.
+ * @returns {Array<number>} The red, green and blue gains.
+ */
+function getGrayWorldGains(data) {
+  const sums = [0, 0, 0];
+  for (let i = 0; i < data.length; i += 4) {
+    sums[0] += data[i];
+    sums[1] += data[i + 1];
+    sums[2] += data[i + 2];
+  }
+  const gray = (sums[0] + sums[1] + sums[2]) / 3;
+  return sums.map((sum) => sum > 0 ? clamp(gray / sum, MIN_GAIN, MAX_GAIN) : 1);
+}
+
+function getPercentile(histogram, total, fraction) {
+  const target = total * fraction;
+  let count = 0;
+  for (let value = 0; value < histogram.length; value++) {
+    count += histogram[value];
+    if (count > target) return value;
+  }
+  return histogram.length - 1;
+}
+
+/**
+ * Measure the levels of the whole image and the brightness of the face, after
+ * white balance.
+ * @returns {{black: number, white: number, faceBrightness: number}} Luma
+ *     from 0 to 255. Without a face the whole image is metered.
+ */
+function meterExposure(data, width, gains, box) {
+  const histogram = new Uint32Array(256);
+  let faceSum = 0;
+  let faceCount = 0;
+  let sum = 0;
+  const pixels = data.length / 4;
+  for (let i = 0; i < pixels; i++) {
+    const luma = Math.min(255, Math.round(getLuma(data[i * 4] * gains[0],
+        data[i * 4 + 1] * gains[1], data[i * 4 + 2] * gains[2])));
+    histogram[luma]++;
+    sum += luma;
+    if (box != null) {
+      const x = i % width;
+      const y = Math.floor(i / width);
+      if (x >= box.xMin && x < box.xMax && y >= box.yMin && y < box.yMax) {
+        faceSum += luma;
+        faceCount++;
+      }
+    }
+  }
+  return {
+    black: Math.min(MAX_BLACK_POINT,
+        getPercentile(histogram, pixels, CLIP_FRACTION)),
+    white: Math.max(MIN_WHITE_POINT,
+        getPercentile(histogram, pixels, 1 - CLIP_FRACTION)),
+    faceBrightness: faceCount > 0 ? faceSum / faceCount : sum / pixels,
+  };
+}
+
+/**
+ * Draw a small copy of a photo to measure it on.
+ * @returns {{data: Uint8ClampedArray, width: number, box: Object}} The RGBA
+ *     pixels of the copy, its width and the face box scaled to it.
+ */
+function getAnalysisImage(source, box) {
+  const scale =
+      Math.min(1, ANALYSIS_SIZE / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  return {
+    data: ctx.getImageData(0, 0, width, height).data,
+    width,
+    box: box == null ? null : {
+      xMin: box.xMin * scale,
+      xMax: box.xMax * scale,
+      yMin: box.yMin * scale,
+      yMax: box.yMax * scale,
+    },
+  };
+}
+
+/**
+ * Call `processRow` for every row from `start` to `end`, taking a break every
+ * `ROWS_PER_STEP` rows.
+ * @param {function(number)} onRows Called with the number of rows done after
+ *     every step.
+ */
+async function forEachRow(start, end, processRow, onRows) {
+  for (let y = start; y < end; y += ROWS_PER_STEP) {
+    const stepEnd = Math.min(end, y + ROWS_PER_STEP);
+    for (let row = y; row < stepEnd; row++) {
+      processRow(row);
+    }
+    onRows(stepEnd - y);
+    await nextTask();
+  }
+}
+
+/**
+ * Mild edge-preserving denoise: each pixel is averaged with the neighbors of
+ * similar luma in its 3 x 3 neighborhood.
+ */
+async function denoise(data, width, height, onRows) {
+  const source = new Uint8ClampedArray(data);
+  const luma = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = getLuma(source[i * 4], source[i * 4 + 1], source[i * 4 + 2]);
+  }
+  await forEachRow(1, height - 1, (y) => {
+    for (let x = 1; x < width - 1; x++) {
+      const center = y * width + x;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbor = center + dy * width + dx;
+          if (Math.abs(luma[neighbor] - luma[center]) <= DENOISE_THRESHOLD) {
+            r += source[neighbor * 4];
+            g += source[neighbor * 4 + 1];
+            b += source[neighbor * 4 + 2];
+            count++;
+          }
+        }
+      }
+      data[center * 4] = r / count;
+      data[center * 4 + 1] = g / count;
+      data[center * 4 + 2] = b / count;
+    }
+  }, onRows);
+}
+
+/**
+ * Draw an enhanced copy of a photo: gray-world white balance, auto levels,
+ * a gamma that brings the face to the target brightness, and mild denoise.
+ *
+ * The corrections are measured on a small copy of the photo. They are applied
+ * to the full photo a band of rows at a time, with breaks in between so that
+ * the page and speech don't stall on large photos.
+ * @param {HTMLCanvasElement} source The photo as taken, left unchanged.
+ * @param {HTMLCanvasElement} target The canvas to draw the enhanced photo
+ *     into.
+ * @param {Object} box The face box in the photo used for metering, or null to
+ *     meter the whole photo.
+ * @param config From app `STATE.enhance`.
+ * @param {function(number)} onProgress Called with the fraction done, from 0
+ *     to 1, after every band of rows.
+ * @returns {Promise<{gains: Array<number>, black: number, white: number,
+ *     gamma: number, denoised: boolean}>} The corrections that were applied.
+ */
+export async function enhancePhoto(
+    source, target, box, config, onProgress = () => {}) {
+  const width = source.width;
+  const height = source.height;
+
+  const analysis = getAnalysisImage(source, box);
+  const gains =
+      config.whiteBalance ? getGrayWorldGains(analysis.data) : [1, 1, 1];
+  let black = 0;
+  let white = 255;
+  let gamma = 1;
+  if (config.exposure) {
+    let faceBrightness;
+    ({black, white, faceBrightness} =
+        meterExposure(analysis.data, analysis.width, gains, analysis.box));
+    const faceLevel = clamp((faceBrightness - black) / (white - black),
+        0.05, 0.95);
+    gamma = clamp(Math.log(config.targetBrightness / 255) / Math.log(faceLevel),
+        MIN_GAMMA, MAX_GAMMA);
+  }
+
+  // One lookup table per channel applies the white balance, levels and gamma
+  const tables = gains.map((gain) => {
+    const table = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value++) {
+      const level = clamp((value * gain - black) / (white - black), 0, 1);
+      table[value] = Math.round(255 * Math.pow(level, gamma));
+    }
+    return table;
+  });
+
+  target.width = width;
+  target.height = height;
+  const ctx = target.getContext('2d');
+  ctx.drawImage(source, 0, 0);
+  const image = ctx.getImageData(0, 0, width, height);
+  const data = image.data;
+
+  // The denoise goes over the rows a second time
+  const totalRows = config.denoise ? height * 2 : height;
+  let rowsDone = 0;
+  const onRows = (rows) => {
+    rowsDone += rows;
+    onProgress(Math.min(1, rowsDone / totalRows));
+  };
+  await forEachRow(0, height, (y) => {
+    const rowEnd = (y + 1) * width * 4;
+    for (let i = y * width * 4; i < rowEnd; i += 4) {
+      data[i] = tables[0][data[i]];
+      data[i + 1] = tables[1][data[i + 1]];
+      data[i + 2] = tables[2][data[i + 2]];
+    }
+  }, onRows);
+
+  if (config.denoise) {
+    await denoise(data, width, height, onRows);
+  }
+  ctx.putImageData(image, 0, 0);
+  onProgress(1);
+  return {gains, black, white, gamma, denoised: config.denoise};
+}
+
+/**
+ * Describe the corrections of `enhancePhoto`, for example "Enhanced version:
+ * brighter, color corrected."
+ * @param enhancement From `enhancePhoto`.
+ * @returns {string} The description.
+ */
+export function describeEnhancement(enhancement) {
+  const changes = [];
+  if (enhancement.gamma < 0.9) {
+    changes.push(t('enhance.brighter'));
+  } else if (enhancement.gamma > 1.1) {
+    changes.push(t('enhance.darker'));
+  }
+  if (enhancement.white - enhancement.black < 230) {
+    changes.push(t('enhance.moreContrast'));
+  }
+  if (enhancement.gains.some((gain) => Math.abs(gain - 1) > 0.05)) {
+    changes.push(t('enhance.colorCorrected'));
+  }
+  if (enhancement.denoised) {
+    changes.push(t('enhance.denoised'));
+  }
+  return t('enhance.report', {
+    changes: changes.length > 0 ? changes.join(', ') : t('enhance.noChanges'),
+  });
+}
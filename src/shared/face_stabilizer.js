@@ -0,0 +1,163 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Get the detection confidence of a face. The detector does not always expose
+ * a face level score, in which case the keypoint scores are averaged.
+ *
+ * @param face A face returned by `detector.estimateFaces`.
+ * @returns {number|null} The score, or null if the detector reported none.
+ */
+export function getFaceScore(face) {
+  if (face.score != null) {
+    return Array.isArray(face.score) ? face.score[0] : face.score;
+  }
+  const scores = (face.keypoints || [])
+                     .map((keypoint) => keypoint.score)
+                     .filter((score) => score != null);
+  if (scores.length === 0) {
+    return null;
+  }
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+function getBoxCenter(box) {
+  return [(box.xMin + box.xMax) / 2, (box.yMin + box.yMax) / 2];
+}
+
+function lerp(previous, current, smoothing) {
+  return previous * smoothing + current * (1 - smoothing);
+}
+
+/**
+ * Stabilizes detector output over time so that guidance does not flicker.
+ *
+ * Faces are filtered by score and their box and keypoints are smoothed with an
+ * exponential moving average. The centered state is debounced with enter/exit
+ * hysteresis and a minimum dwell time.
+ */
+export class FaceStabilizer {
+  /**
+   * @param config From app `STATE.stabilizer`.
+   */
+  constructor(config) {
+    this.config = config;
+    this.reset();
+  }
+
+  reset() {
+    this.previousFaces = [];
+    this.centered = false;
+    this.centeredCandidateSince = null;
+  }
+
+  /**
+   * Filter and smooth the faces of a new frame.
+   * @param faces The faces returned by `detector.estimateFaces`.
+   * @returns The stabilized faces.
+   */
+  update(faces) {
+    const {minScore, smoothing} = this.config;
+    const confidentFaces = (faces || []).filter((face) => {
+      const score = getFaceScore(face);
+      return score == null || score >= minScore;
+    });
+
+    const smoothedFaces =
+        confidentFaces.map((face) => this.smoothFace(face, smoothing));
+    this.previousFaces = smoothedFaces;
+    if (smoothedFaces.length === 0) {
+      this.updateCentered(false, false);
+    }
+    return smoothedFaces;
+  }
+
+  smoothFace(face, smoothing) {
+    const previous = this.findPreviousFace(face);
+    if (previous == null || smoothing <= 0) {
+      return face;
+    }
+
+    const box = {};
+    for (const key of ['xMin', 'yMin', 'xMax', 'yMax']) {
+      box[key] = lerp(previous.box[key], face.box[key], smoothing);
+    }
+    box.width = box.xMax - box.xMin;
+    box.height = box.yMax - box.yMin;
+
+    const keypoints = face.keypoints.map((keypoint, i) => {
+      const previousKeypoint = previous.keypoints[i];
+      if (previousKeypoint == null) {
+        return keypoint;
+      }
+      return Object.assign({}, keypoint, {
+        x: lerp(previousKeypoint.x, keypoint.x, smoothing),
+        y: lerp(previousKeypoint.y, keypoint.y, smoothing),
+      });
+    });
+
+    return Object.assign({}, face, {box, keypoints});
+  }
+
+  /**
+   * Find the face of the previous frame closest to the given face, if it is
+   * near enough to be the same person.
+   */
+  findPreviousFace(face) {
+    const [x, y] = getBoxCenter(face.box);
+    const maxDistance = (face.box.xMax - face.box.xMin) / 2;
+    let closest = null;
+    let closestDistance = Infinity;
+    for (const previous of this.previousFaces) {
+      const [previousX, previousY] = getBoxCenter(previous.box);
+      const distance = Math.hypot(previousX - x, previousY - y);
+      if (distance < closestDistance) {
+        closest = previous;
+        closestDistance = distance;
+      }
+    }
+    return closestDistance <= maxDistance ? closest : null;
+  }
+
+  /**
+   * Update the stabilized centered state.
+   * @param {boolean} entering Whether the face meets the strict thresholds
+   *     required to become centered.
+   * @param {boolean} staying Whether the face meets the relaxed thresholds
+   *     required to stay centered.
+   * @param {number} now Timestamp in milliseconds.
+   * @returns {boolean} The stabilized centered state.
+   */
+  updateCentered(entering, staying, now = Date.now()) {
+    if (this.centered) {
+      if (!staying) {
+        this.centered = false;
+        this.centeredCandidateSince = null;
+      }
+    } else if (entering) {
+      if (this.centeredCandidateSince == null) {
+        this.centeredCandidateSince = now;
+      }
+      if (now - this.centeredCandidateSince >= this.config.dwellTime) {
+        this.centered = true;
+      }
+    } else {
+      this.centeredCandidateSince = null;
+    }
+    return this.centered;
+  }
+}
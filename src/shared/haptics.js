@@ -0,0 +1,160 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {isPhotographerMode} from './phrases';
+
+/**
+ * Vibration patterns, in milliseconds of alternating vibration and pause.
+ *
+ * - left: two short pulses
+ * - right: one long pulse
+ * - up: short then long
+ * - down: long then short
+ * - closer: three short pulses
+ * - farther: two long pulses
+ * - noFace: five very short pulses
+ * - centered: one very long pulse
+ * - photoTaken: two short pulses followed by a long one
+ */
+export const HAPTIC_PATTERNS = {
+  left: [80, 100, 80],
+  right: [300],
+  up: [80, 100, 300],
+  down: [300, 100, 80],
+  closer: [80, 100, 80, 100, 80],
+  farther: [300, 150, 300],
+  noFace: [30, 80, 30, 80, 30, 80, 30, 80, 30],
+  centered: [600],
+  photoTaken: [80, 80, 80, 80, 400],
+};
+
+/**
+ * The direction to move for each position hint. The person in the photo
+ * moves against the offset of the face, a helper moves the phone with it.
+ */
+const HINT_DIRECTIONS = {
+  subject: {
+    moveRight: 'right',
+    moveLeft: 'left',
+    moveDown: 'down',
+    moveUp: 'up',
+    moveCloser: 'closer',
+    moveFarther: 'farther',
+  },
+  photographer: {
+    moveRight: 'left',
+    moveLeft: 'right',
+    moveDown: 'up',
+    moveUp: 'down',
+    moveCloser: 'closer',
+    moveFarther: 'farther',
+  },
+};
+
+/**
+ * Whether the device can vibrate.
+ * @returns {boolean}
+ */
+export function isVibrationSupported() {
+  return typeof navigator !== 'undefined' &&
+      typeof navigator.vibrate === 'function';
+}
+
+/**
+ * Conveys the guidance through vibration patterns, rate-limited so that the
+ * same pattern repeats at most once per `config.interval` milliseconds.
+ * Without vibration support every call is a no-op.
+ */
+export class HapticGuide {
+  /**
+   * @param config From app `STATE.haptics`.
+   */
+  constructor(config) {
+    this.config = config;
+    this.lastPattern = null;
+    this.lastVibrationTime = 0;
+    // No face patterns given since a face was last seen
+    this.noFaceCount = 0;
+  }
+
+  /**
+   * Vibrate the pattern for the current frame, if the rate limit allows it.
+   * @param {boolean} centered Whether the face is reported as centered.
+   * @param hints Position hints from `drawResults`, or null without a face.
+   * @param {number} now Timestamp in milliseconds.
+   */
+  update(centered, hints, now = Date.now()) {
+    if (hints != null) {
+      this.noFaceCount = 0;
+    }
+
+    let pattern;
+    if (hints == null) {
+      if (this.noFaceCount >= this.config.maxNoFaceRepeats) return;
+      pattern = 'noFace';
+    } else if (centered) {
+      // Only signal the moment the face becomes centered.
+      if (this.lastPattern === 'centered') return;
+      pattern = 'centered';
+    } else {
+      const directions =
+          HINT_DIRECTIONS[isPhotographerMode() ? 'photographer' : 'subject'];
+      const hint = [hints.horizontal, hints.vertical, hints.distance].find(
+          (key) => key != null);
+      // Nothing to signal while only small adjustments are left.
+      if (hint == null) return;
+      pattern = directions[hint];
+    }
+
+    // Repeat the same pattern only after the interval. A new pattern only has
+    // to wait for the previous one to finish.
+    const previousDuration = this.lastPattern != null ?
+        HAPTIC_PATTERNS[this.lastPattern].reduce((sum, ms) => sum + ms, 0) :
+        0;
+    const wait = pattern === this.lastPattern ? this.config.interval :
+                                                previousDuration;
+    if (now - this.lastVibrationTime < wait) return;
+
+    this.vibrate(pattern, now);
+    if (pattern === 'noFace') {
+      this.noFaceCount++;
+    }
+  }
+
+  /**
+   * Vibrate a one-off pattern, such as `photoTaken`, regardless of the rate
+   * limit.
+   * @param {string} pattern Key of `HAPTIC_PATTERNS`.
+   * @param {number} now Timestamp in milliseconds.
+   */
+  vibrate(pattern, now = Date.now()) {
+    if (!this.config.enabled || !isVibrationSupported()) return;
+    navigator.vibrate(HAPTIC_PATTERNS[pattern]);
+    this.lastPattern = pattern;
+    this.lastVibrationTime = now;
+  }
+
+  /**
+   * Stop any ongoing vibration.
+   */
+  stop() {
+    if (isVibrationSupported()) {
+      navigator.vibrate(0);
+    }
+    this.lastPattern = null;
+    this.noFaceCount = 0;
+  }
+}
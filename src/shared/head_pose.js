@@ -0,0 +1,155 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getPhrase} from './phrases';
+
+/**
+ * Order of the six keypoints returned by the MediaPipe face detector. Used as a
+ * fallback when a keypoint does not carry a `name`.
+ */
+const KEYPOINT_NAMES = [
+  'rightEye', 'leftEye', 'noseTip', 'mouthCenter', 'rightEarTragion',
+  'leftEarTragion',
+];
+
+/**
+ * Vertical position of the nose tip between the eye line (0) and the mouth (1)
+ * when the head is neither raised nor lowered.
+ */
+const NEUTRAL_NOSE_RATIO = 0.55;
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function getNamedKeypoints(face) {
+  const named = {};
+  face.keypoints.forEach((keypoint, i) => {
+    named[keypoint.name || KEYPOINT_NAMES[i]] = keypoint;
+  });
+  return named;
+}
+
+/**
+ * Estimate the head pose from the detector keypoints.
+ *
+ * Keypoints are expected in the unmirrored video space, where the subject's
+ * right eye appears on the left of the image. All angles are in degrees:
+ * - yaw is positive when the head is turned towards the subject's left,
+ * - pitch is positive when the chin is raised,
+ * - roll is positive when the head is tilted towards the subject's left
+ *   shoulder.
+ *
+ * @param face A face returned by `detector.estimateFaces`.
+ * @returns {{yaw: number, pitch: number, roll: number}|null} The pose, or
+ *     null if the face does not have all the required keypoints.
+ */
+export function estimateHeadPose(face) {
+  if (!face || !face.keypoints) {
+    return null;
+  }
+
+  const {
+    rightEye,
+    leftEye,
+    noseTip,
+    mouthCenter,
+    rightEarTragion,
+    leftEarTragion,
+  } = getNamedKeypoints(face);
+  if (!rightEye || !leftEye || !noseTip || !mouthCenter || !rightEarTragion ||
+      !leftEarTragion) {
+    return null;
+  }
+
+  // Roll is the angle of the eye line.
+  const roll =
+      toDegrees(Math.atan2(leftEye.y - rightEye.y, leftEye.x - rightEye.x));
+
+  // Yaw is derived from how far the nose tip is from the midpoint of the ears,
+  // relative to half the distance between the ears.
+  const earMidX = (rightEarTragion.x + leftEarTragion.x) / 2;
+  const halfEarDistance =
+      Math.abs(leftEarTragion.x - rightEarTragion.x) / 2 || 1;
+  const yaw = toDegrees(
+      Math.asin(clamp((noseTip.x - earMidX) / halfEarDistance, -1, 1)));
+
+  // Pitch is derived from where the nose tip sits between the eye line and the
+  // mouth. Raising the chin moves the nose tip towards the eyes.
+  const eyeMidY = (rightEye.y + leftEye.y) / 2;
+  const eyeToMouth = mouthCenter.y - eyeMidY || 1;
+  const noseRatio = (noseTip.y - eyeMidY) / eyeToMouth;
+  const pitch = toDegrees(Math.asin(
+      clamp((NEUTRAL_NOSE_RATIO - noseRatio) / NEUTRAL_NOSE_RATIO, -1, 1)));
+
+  return {yaw, pitch, roll};
+}
+
+/**
+ * Check whether a head pose is frontal within the given angle limits.
+ * @param pose The pose from `estimateHeadPose`.
+ * @param limits Object with `maxYaw`, `maxPitch` and `maxRoll` in degrees.
+ * @param {number} slack Factor by which the limits are widened.
+ * @returns {boolean} Whether the head is facing the camera. A missing pose is
+ *     treated as frontal so that pose checks never block detection.
+ */
+export function isHeadPoseFrontal(pose, limits, slack = 1) {
+  if (pose == null) {
+    return true;
+  }
+  return Math.abs(pose.yaw) <= limits.maxYaw * slack &&
+      Math.abs(pose.pitch) <= limits.maxPitch * slack &&
+      Math.abs(pose.roll) <= limits.maxRoll * slack;
+}
+
+/**
+ * Get spoken guidance on how to turn or tilt the head to face the camera.
+ * @param pose The pose from `estimateHeadPose`.
+ * @param limits Object with `maxYaw`, `maxPitch` and `maxRoll` in degrees.
+ * @returns {string} Guidance message, or an empty string if the pose is
+ *     frontal.
+ */
+export function getHeadPoseGuidance(pose, limits) {
+  if (pose == null) {
+    return '';
+  }
+
+  const guidanceParts = [];
+  if (pose.yaw > limits.maxYaw) {
+    guidanceParts.push(getPhrase('turnHeadRight'));
+  } else if (pose.yaw < -limits.maxYaw) {
+    guidanceParts.push(getPhrase('turnHeadLeft'));
+  }
+
+  if (pose.pitch > limits.maxPitch) {
+    guidanceParts.push(getPhrase('lowerChin'));
+  } else if (pose.pitch < -limits.maxPitch) {
+    guidanceParts.push(getPhrase('raiseChin'));
+  }
+
+  if (Math.abs(pose.roll) > limits.maxRoll) {
+    guidanceParts.push(getPhrase('levelHead'));
+  }
+
+  if (guidanceParts.length === 0) {
+    return '';
+  }
+  return guidanceParts.join('. ') + '.';
+}
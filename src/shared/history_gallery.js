@@ -0,0 +1,194 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getSpeechLang, t} from './i18n';
+import {speech} from './speech';
+
+/**
+ * Lists the photos of a `PhotoHistory` for browsing with a screen reader.
+ *
+ * Every photo is a list item with its description and buttons to listen to
+ * it, download it, share it and delete it. The list starts hidden and is
+ * shown by the toggle button, and a button deletes all photos at once.
+ */
+export class HistoryGallery {
+  /**
+   * @param history The `PhotoHistory`.
+   * @param {Object} actions `download(photo)` and `share(photo)`.
+   */
+  constructor(history, actions) {
+    this.history = history;
+    this.actions = actions;
+    this.photos = [];
+  }
+
+  /**
+   * Find the gallery elements of the page and listen to its buttons.
+   */
+  setup() {
+    this.toggleButton = document.getElementById('show-history');
+    this.section = document.getElementById('photo-history');
+    this.heading = document.getElementById('history-heading');
+    this.summary = document.getElementById('history-summary');
+    this.list = document.getElementById('history-list');
+    this.clearButton = document.getElementById('clear-history');
+    if (this.section == null) return;
+
+    this.toggleButton.addEventListener('click', () => this.toggle());
+    this.clearButton.addEventListener('click', () => this.clearAll());
+  }
+
+  get isOpen() {
+    return this.section != null && !this.section.hidden;
+  }
+
+  /**
+   * Show or hide the gallery. It is read from the top when shown.
+   */
+  async toggle() {
+    if (this.isOpen) {
+      this.section.hidden = true;
+      this.toggleButton.setAttribute('aria-expanded', 'false');
+      return;
+    }
+    this.section.hidden = false;
+    this.toggleButton.setAttribute('aria-expanded', 'true');
+    await this.render();
+    this.heading.focus();
+  }
+
+  /**
+   * Render the gallery again if it is shown, for example after a photo was
+   * added or the language changed.
+   */
+  async refresh() {
+    if (this.isOpen) {
+      await this.render();
+    }
+  }
+
+  async render() {
+    try {
+      this.photos = await this.history.getAll();
+    } catch (error) {
+      console.warn('Photo history is not available:', error);
+      this.photos = [];
+      this.summary.textContent = t('ui.historyUnavailable');
+      this.list.textContent = '';
+      this.clearButton.disabled = true;
+      return;
+    }
+
+    // Tell how long the photos are kept on the device
+    const kept = t(this.history.config.keepAcrossVisits ?
+        'ui.historyKeptAcrossVisits' : 'ui.historyKeptForSession');
+    this.summary.textContent = (this.photos.length > 0 ?
+        t('ui.historyCount', {count: this.photos.length}) :
+        t('ui.historyEmpty')) + ' ' + kept;
+    this.clearButton.disabled = this.photos.length === 0;
+    this.list.textContent = '';
+    this.photos.forEach((photo, index) => {
+      this.list.appendChild(this.renderPhoto(photo, index + 1));
+    });
+  }
+
+  renderPhoto(photo, position) {
+    const item = document.createElement('li');
+
+    // The description follows as text, so the thumbnail is not read out
+    const image = document.createElement('img');
+    image.src = photo.files[0].url;
+    image.alt = '';
+    item.appendChild(image);
+
+    const description = document.createElement('p');
+    description.textContent = this.describe(photo, position);
+    item.appendChild(description);
+
+    const addButton = (text, label, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = t(text);
+      button.setAttribute('aria-label', t(label, {position}));
+      button.addEventListener('click', onClick);
+      item.appendChild(button);
+    };
+    addButton('ui.historyListen', 'ui.historyListenLabel',
+        () => speech.speak(this.describe(photo, position), 'urgent'));
+    addButton('ui.historyDownload', 'ui.historyDownloadLabel',
+        () => this.actions.download(photo));
+    addButton('ui.historyShare', 'ui.historyShareLabel',
+        () => this.actions.share(photo));
+    addButton('ui.historyDelete', 'ui.historyDeleteLabel',
+        () => this.remove(photo, position));
+    return item;
+  }
+
+  /**
+   * Describe a photo, for example "Photo 2, taken Oct 19, 2026, 10:42 AM.
+   * Framing score 85 out of 100. Selfie of one person..."
+   * @param {Object} photo A record of `PhotoHistory`.
+   * @param {number} position Position of the photo in the gallery, from 1.
+   * @returns {string}
+   */
+  describe(photo, position) {
+    const time = photo.date.toLocaleString(
+        getSpeechLang(), {dateStyle: 'medium', timeStyle: 'short'});
+    const parts = [t('ui.historyItem', {position, time})];
+    if (photo.framingScore != null) {
+      parts.push(t('ui.historyScore', {score: photo.framingScore}));
+    }
+    parts.push(photo.description);
+    return parts.join(' ');
+  }
+
+  async remove(photo, position) {
+    try {
+      await this.history.delete(photo.id);
+    } catch (error) {
+      console.warn('Deleting the photo failed:', error);
+      return;
+    }
+    await this.render();
+    speech.speak(t('ui.historyDeleted', {position}), 'urgent');
+
+    // Keep the focus in the list, on the photo that took the place of the
+    // deleted one
+    const items = this.list.querySelectorAll('li');
+    const next = items[Math.min(position, items.length) - 1];
+    if (next != null) {
+      next.querySelector('button').focus();
+    } else {
+      this.heading.focus();
+    }
+  }
+
+  /**
+   * Delete all photos from the device, once the user confirms.
+   */
+  async clearAll() {
+    if (!window.confirm(t('ui.historyClearConfirm'))) return;
+    try {
+      await this.history.clear();
+    } catch (error) {
+      console.warn('Clearing the photo history failed:', error);
+      return;
+    }
+    await this.render();
+    speech.speak(t('ui.historyCleared'), 'urgent');
+    this.heading.focus();
+  }
+}
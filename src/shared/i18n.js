@@ -0,0 +1,160 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {MESSAGES as en} from './locales/en';
+import {MESSAGES as es} from './locales/es';
+import {MESSAGES as fr} from './locales/fr';
+import {STATE} from './params';
+
+/**
+ * Message catalogs by language code. The active one is `STATE.locale`.
+ */
+export const LOCALES = {en, es, fr};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Pick the supported locale that best matches the requested languages.
+ * @param {Array<string>} languages Language tags in order of preference, such
+ *     as `?lang=` followed by `navigator.languages`.
+ * @returns {string} Key of `LOCALES`.
+ */
+export function detectLocale(languages) {
+  for (const language of languages) {
+    if (!language) continue;
+    const code = language.toLowerCase().split(/[-_]/)[0];
+    if (code in LOCALES) {
+      return code;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce(
+      (value, part) => value == null ? undefined : value[part], catalog);
+}
+
+/**
+ * Get a message of the active locale, falling back to English.
+ * @param {string} key Dotted path in the catalog, such as `ui.tryAgain`.
+ * @param {Object} values Values for the `{name}` placeholders. `count` also
+ *     selects the plural form.
+ * @returns {string} The message.
+ */
+export function t(key, values = {}) {
+  let message = lookup(LOCALES[STATE.locale] || en, key);
+  if (message == null) {
+    message = lookup(en, key);
+  }
+  if (message == null) {
+    console.warn(`Missing message ${key}.`);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(STATE.locale).select(values.count);
+    message = message[category] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g,
+      (match, name) => name in values ? String(values[name]) : match);
+}
+
+/**
+ * Spell out a position in a sequence, such as 'second' for 2.
+ * @param {number} position Position starting at 1.
+ * @returns {string}
+ */
+export function formatOrdinal(position) {
+  const ordinals = (LOCALES[STATE.locale] || en).ordinals;
+  return ordinals[position - 1] || String(position);
+}
+
+/**
+ * The BCP 47 tag that speech is synthesized in for the active locale.
+ * @returns {string}
+ */
+export function getSpeechLang() {
+  return (LOCALES[STATE.locale] || en).speechLang;
+}
+
+/**
+ * Pick an installed voice for the active locale, preferring an exact match of
+ * the region, then the default and local voices.
+ * @returns {SpeechSynthesisVoice} The voice, or null to let the browser pick.
+ */
+export function getSpeechVoice() {
+  if (!('speechSynthesis' in window)) return null;
+
+  const lang = getSpeechLang().toLowerCase();
+  const language = lang.split('-')[0];
+  const voices = window.speechSynthesis.getVoices().filter(
+      (voice) => voice.lang.toLowerCase().replace('_', '-')
+          .split('-')[0] === language);
+  const rank = (voice) =>
+      (voice.lang.toLowerCase().replace('_', '-') === lang ? 4 : 0) +
+      (voice.default ? 2 : 0) + (voice.localService ? 1 : 0);
+  voices.sort((a, b) => rank(b) - rank(a));
+  return voices[0] || null;
+}
+
+/**
+ * Speak an utterance in the language and voice of the active locale.
+ * @param {SpeechSynthesisUtterance} utterance
+ * @returns {SpeechSynthesisUtterance} The same utterance.
+ */
+export function localizeUtterance(utterance) {
+  utterance.lang = getSpeechLang();
+  const voice = getSpeechVoice();
+  if (voice != null) {
+    utterance.voice = voice;
+  }
+  return utterance;
+}
+
+/**
+ * Keep `translatePage` from overwriting an element whose text or alt text the
+ * app has replaced, such as the live face status or the description of the
+ * captured photo. The app translates such content itself.
+ * @param {Element} element The element.
+ */
+export function markDynamic(element) {
+  element.dataset.i18nDynamic = 'true';
+}
+
+/**
+ * Translate the static text of the page. Elements name their message with
+ * `data-i18n` for the text and `data-i18n-label` and `data-i18n-alt` for the
+ * `aria-label` and `alt` attributes. Elements passed to `markDynamic` are
+ * skipped.
+ * @param {Element} root The element to translate, the whole page by default.
+ */
+export function translatePage(root = document) {
+  document.documentElement.lang = STATE.locale;
+  const translate = (attribute, apply) => {
+    root.querySelectorAll(`[${attribute}]:not([data-i18n-dynamic])`)
+        .forEach(apply);
+  };
+  translate('data-i18n', (element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  translate('data-i18n-label', (element) => {
+    element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+  });
+  translate('data-i18n-alt', (element) => {
+    element.alt = t(element.dataset.i18nAlt);
+  });
+}
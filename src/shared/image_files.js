@@ -0,0 +1,227 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+// CRC-32 lookup table, used by PNG chunks and zip archives
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum, as used by PNG and zip.
+ * @param {Uint8Array} bytes The data.
+ * @returns {number} The checksum, as an unsigned 32-bit integer.
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Decode a base64 data URL.
+ * @param {string} url The data URL.
+ * @returns {Uint8Array} The bytes of the file.
+ */
+export function dataUrlToBytes(url) {
+  const binary = atob(url.slice(url.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as a base64 data URL.
+ * @param {Uint8Array} bytes The bytes of the file.
+ * @param {string} mimeType The MIME type of the file.
+ * @returns {string} The data URL.
+ */
+export function bytesToDataUrl(bytes, mimeType) {
+  let binary = '';
+  // Converted in chunks, spreading a large array overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * Join byte arrays.
+ * @param {Array<Uint8Array>} parts The arrays.
+ * @returns {Uint8Array} The joined bytes.
+ */
+export function concatBytes(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+// Set the density of the JFIF header that browsers write after the start of
+// image marker, or add one
+function setJpegDensity(bytes, dpi) {
+  const isJfif = bytes[2] === 0xff && bytes[3] === 0xe0 &&
+      String.fromCharCode(bytes[6], bytes[7], bytes[8], bytes[9]) === 'JFIF';
+  if (isJfif) {
+    const result = bytes.slice();
+    const view = new DataView(result.buffer);
+    // Units: dots per inch
+    result[13] = 1;
+    view.setUint16(14, dpi);
+    view.setUint16(16, dpi);
+    return result;
+  }
+  const app0 = new Uint8Array(18);
+  const view = new DataView(app0.buffer);
+  view.setUint16(0, 0xffe0);
+  view.setUint16(2, 16);
+  app0.set([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 1], 4);
+  view.setUint16(12, dpi);
+  view.setUint16(14, dpi);
+  return concatBytes([bytes.subarray(0, 2), app0, bytes.subarray(2)]);
+}
+
+/**
+ * Build a PNG chunk.
+ * @param {string} type The four letter chunk type.
+ * @param {Uint8Array} data The chunk data.
+ * @returns {Uint8Array} The chunk with its length and checksum.
+ */
+export function createPngChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+// Add a pHYs chunk after the IHDR chunk, which always comes first
+function setPngDensity(bytes, dpi) {
+  const data = new Uint8Array(9);
+  const view = new DataView(data.buffer);
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  view.setUint32(0, pixelsPerMeter);
+  view.setUint32(4, pixelsPerMeter);
+  // Unit: meter
+  data[8] = 1;
+  const ihdrEnd = 8 + 25;
+  return concatBytes([
+    bytes.subarray(0, ihdrEnd), createPngChunk('pHYs', data),
+    bytes.subarray(ihdrEnd),
+  ]);
+}
+
+/**
+ * Record the print resolution in a JPEG or PNG file, so that it prints at its
+ * intended physical size. Other formats are returned unchanged.
+ * @param {string} url The image as a data URL.
+ * @param {string} mimeType The MIME type of the image.
+ * @param {number} dpi Dots per inch.
+ * @returns {string} The image as a data URL.
+ */
+export function setImageDensity(url, mimeType, dpi) {
+  if (mimeType === 'image/jpeg') {
+    return bytesToDataUrl(setJpegDensity(dataUrlToBytes(url), dpi), mimeType);
+  }
+  if (mimeType === 'image/png') {
+    return bytesToDataUrl(setPngDensity(dataUrlToBytes(url), dpi), mimeType);
+  }
+  return url;
+}
+
+/**
+ * Bundle files into a zip archive. The files are stored without compression,
+ * images are compressed already.
+ * @param {Array<{name: string, bytes: Uint8Array}>} files The files.
+ * @param {Date} date The modification time of the files.
+ * @returns {Blob} The zip archive.
+ */
+export function createZip(files, date = new Date()) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) |
+      (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  files.forEach((file) => {
+    const name = new TextEncoder().encode(file.name);
+    const crc = crc32(file.bytes);
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(4, 20, true);
+    localView.setUint16(10, time, true);
+    localView.setUint16(12, day, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, file.bytes.length, true);
+    localView.setUint32(22, file.bytes.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const entry = new Uint8Array(46 + name.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true);
+    entryView.setUint16(6, 20, true);
+    entryView.setUint16(12, time, true);
+    entryView.setUint16(14, day, true);
+    entryView.setUint32(16, crc, true);
+    entryView.setUint32(20, file.bytes.length, true);
+    entryView.setUint32(24, file.bytes.length, true);
+    entryView.setUint16(28, name.length, true);
+    entryView.setUint32(42, offset, true);
+    entry.set(name, 46);
+
+    parts.push(local, file.bytes);
+    directory.push(entry);
+    offset += local.length + file.bytes.length;
+  });
+
+  const directorySize =
+      directory.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob(parts.concat(directory, [end]), {type: 'application/zip'});
+}
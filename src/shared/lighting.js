@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getPhrase} from './phrases';
+import {toGrayscale} from './sharpness';
+
+/** Size the frame is resampled to before measuring brightness. */
+const SAMPLE_WIDTH = 80;
+const SAMPLE_HEIGHT = 60;
+
+let sampleCanvas;
+
+function getSampleFrame(source) {
+  if (sampleCanvas == null) {
+    sampleCanvas = document.createElement('canvas');
+    sampleCanvas.width = SAMPLE_WIDTH;
+    sampleCanvas.height = SAMPLE_HEIGHT;
+  }
+  const ctx = sampleCanvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+  return toGrayscale(ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT));
+}
+
+/**
+ * Mean luma of the pixels for which `include(x, y)` is true, or null if there
+ * are none.
+ */
+function meanBrightness(gray, include) {
+  let sum = 0;
+  let count = 0;
+  for (let y = 0; y < SAMPLE_HEIGHT; y++) {
+    for (let x = 0; x < SAMPLE_WIDTH; x++) {
+      if (include(x, y)) {
+        sum += gray[y * SAMPLE_WIDTH + x];
+        count++;
+      }
+    }
+  }
+  return count > 0 ? sum / count : null;
+}
+
+/**
+ * Analyze how the face is lit compared to the background, and whether one side
+ * of the face is brighter than the other.
+ *
+ * Coordinates are in the unmirrored video space, where the subject's right
+ * side appears on the left of the image.
+ *
+ * @param source The video element, or a canvas with a captured photo.
+ * @param face The face to analyze.
+ * @param config From app `STATE.lighting`.
+ * @returns {{faceBrightness: number, backgroundBrightness: number,
+ *     sideBalance: number, issues: Array<string>}} Brightness values are luma
+ *     from 0 to 255. `sideBalance` is the brightness difference between the
+ *     subject's left and right cheek relative to the face brightness. `issues`
+ *     holds spoken guidance for every problem found. Any issue keeps the face
+ *     from being reported as ready, or ends the ready state.
+ */
+export function analyzeLighting(source, face, config) {
+  const gray = getSampleFrame(source);
+  const scaleX = SAMPLE_WIDTH / (source.videoWidth || source.width);
+  const scaleY = SAMPLE_HEIGHT / (source.videoHeight || source.height);
+  const box = {
+    xMin: face.box.xMin * scaleX,
+    xMax: face.box.xMax * scaleX,
+    yMin: face.box.yMin * scaleY,
+    yMax: face.box.yMax * scaleY,
+  };
+  const inBox = (x, y) =>
+      x >= box.xMin && x < box.xMax && y >= box.yMin && y < box.yMax;
+
+  const faceBrightness = meanBrightness(gray, inBox) || 0;
+  const backgroundBrightness =
+      meanBrightness(gray, (x, y) => !inBox(x, y)) || 0;
+
+  // Compare the cheeks: the band between the eyes and the mouth, split at the
+  // nose tip. Fall back to the halves of the box without keypoints.
+  let splitX = (box.xMin + box.xMax) / 2;
+  let bandTop = box.yMin;
+  let bandBottom = box.yMax;
+  if (face.keypoints && face.keypoints.length >= 4) {
+    const [rightEye, leftEye, noseTip, mouthCenter] = face.keypoints;
+    splitX = noseTip.x * scaleX;
+    bandTop = Math.min(rightEye.y, leftEye.y) * scaleY;
+    bandBottom = mouthCenter.y * scaleY;
+  }
+  const inBand = (x, y) => inBox(x, y) && y >= bandTop && y <= bandBottom;
+  const imageLeft = meanBrightness(gray, (x, y) => inBand(x, y) && x < splitX);
+  const imageRight =
+      meanBrightness(gray, (x, y) => inBand(x, y) && x >= splitX);
+  const sideBalance = imageLeft != null && imageRight != null ?
+      (imageRight - imageLeft) / Math.max(faceBrightness, 1) :
+      0;
+
+  const issues = [];
+  if (backgroundBrightness - faceBrightness > config.maxBacklight) {
+    issues.push(getPhrase('backlight'));
+  } else if (faceBrightness < config.minBrightness) {
+    issues.push(getPhrase('tooDark'));
+  } else if (faceBrightness > config.maxBrightness) {
+    issues.push(getPhrase('tooBright'));
+  }
+  if (Math.abs(sideBalance) > config.maxSideBalance) {
+    // The image right is the subject's left.
+    issues.push(sideBalance > 0 ? getPhrase('lightFromLeft') :
+                                  getPhrase('lightFromRight'));
+  }
+
+  return {faceBrightness, backgroundBrightness, sideBalance, issues};
+}
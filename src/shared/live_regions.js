@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Hands messages to the screen reader through ARIA live regions, so that they
+ * are read by the screen reader's own voice and shown on braille displays.
+ *
+ * Urgent messages go to an assertive region, everything else to a polite one.
+ * Guidance is throttled: it is written at most once per `config.interval`,
+ * and only the latest guidance is written when the interval ends.
+ */
+export class LiveRegionAnnouncer {
+  /**
+   * @param config From app `STATE.liveRegions`.
+   */
+  constructor(config) {
+    this.config = config;
+    this.politeRegion = null;
+    this.assertiveRegion = null;
+    this.lastGuidanceTime = -Infinity;
+    this.pendingGuidance = null;
+    this.guidanceTimer = null;
+    // Timers of the messages about to be written, by region id
+    this.writeTimers = {};
+  }
+
+  /**
+   * Find the live regions of the page, or add them.
+   */
+  setup() {
+    this.politeRegion = this.getRegion('live-polite', 'polite');
+    this.assertiveRegion = this.getRegion('live-assertive', 'assertive');
+  }
+
+  getRegion(id, politeness) {
+    let region = document.getElementById(id);
+    if (region == null) {
+      region = document.createElement('div');
+      region.id = id;
+      region.className = 'visually-hidden';
+      region.setAttribute('aria-live', politeness);
+      region.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  /**
+   * Announce a message.
+   * @param {string} message The message.
+   * @param {string} priority One of `SPEECH_PRIORITIES`.
+   * @param {number} now Timestamp in milliseconds.
+   */
+  announce(message, priority, now = Date.now()) {
+    if (this.politeRegion == null) {
+      this.setup();
+    }
+
+    if (priority === 'urgent') {
+      this.clearPendingGuidance();
+      this.write(this.assertiveRegion, message);
+    } else if (priority === 'status') {
+      this.clearPendingGuidance();
+      this.write(this.politeRegion, message);
+    } else {
+      const wait = this.lastGuidanceTime + this.config.interval - now;
+      if (wait <= 0) {
+        this.writeGuidance(message, now);
+      } else {
+        this.pendingGuidance = message;
+        if (this.guidanceTimer == null) {
+          this.guidanceTimer = setTimeout(() => {
+            this.guidanceTimer = null;
+            this.writeGuidance(this.pendingGuidance, Date.now());
+          }, wait);
+        }
+      }
+    }
+  }
+
+  writeGuidance(message, now) {
+    this.pendingGuidance = null;
+    this.lastGuidanceTime = now;
+    this.write(this.politeRegion, message);
+  }
+
+  write(region, message) {
+    // Screen readers only announce changes, so the same message is announced
+    // again by clearing the region first
+    region.textContent = '';
+    clearTimeout(this.writeTimers[region.id]);
+    this.writeTimers[region.id] = setTimeout(() => {
+      delete this.writeTimers[region.id];
+      region.textContent = message;
+    }, 50);
+  }
+
+  clearPendingGuidance() {
+    if (this.guidanceTimer != null) {
+      clearTimeout(this.guidanceTimer);
+      this.guidanceTimer = null;
+    }
+    this.pendingGuidance = null;
+  }
+
+  /**
+   * Drop waiting guidance and empty the regions.
+   */
+  clear() {
+    this.clearPendingGuidance();
+    Object.keys(this.writeTimers).forEach((id) => {
+      clearTimeout(this.writeTimers[id]);
+    });
+    this.writeTimers = {};
+    if (this.politeRegion != null) {
+      this.politeRegion.textContent = '';
+      this.assertiveRegion.textContent = '';
+    }
+  }
+}
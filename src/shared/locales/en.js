@@ -0,0 +1,359 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * English messages. This is the reference catalog: every key used by the app
+ * is defined here, and other locales fall back to it for missing keys.
+ *
+ * `{name}` is replaced by the value of the same name. A message given as an
+ * object is picked by the plural category of the `count` value.
+ */
+export const MESSAGES = {
+  name: 'English',
+  speechLang: 'en-US',
+  ordinals: [
+    'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh',
+    'eighth', 'ninth', 'tenth',
+  ],
+
+  // Guidance for the person in the photo, with the front camera.
+  subject: {
+    moveRight: 'Move right',
+    moveLeft: 'Move left',
+    moveDown: 'Move down',
+    moveUp: 'Move up',
+    moveCloser: 'Move closer to the camera',
+    moveFarther: 'Move farther from the camera',
+    almostCentered: 'Almost centered. Make small adjustments.',
+    notCentered: 'Your face is not centered. Please adjust your position.',
+    faceCentered: 'Your face is centered. You can take a photo now.',
+    groupCentered: 'Everyone is in the frame. You can take a photo now.',
+    turnHeadRight: 'Turn your head slightly to the right',
+    turnHeadLeft: 'Turn your head slightly to the left',
+    lowerChin: 'Lower your chin slightly',
+    raiseChin: 'Raise your chin slightly',
+    levelHead: 'Level your head',
+    everyoneFaceCamera: 'Everyone should face the camera',
+    alonePartlyOutOfFrame: 'You are partly out of frame',
+    partlyOutOfFrame: '{person} is partly out of frame',
+    personOnLeft: 'The person on the left',
+    personOnRight: 'The person on the right',
+    personInMiddle: 'The person in the middle',
+    personFromLeft: 'The {ordinal} person from the left',
+    backlight: 'There is a bright light behind you. Turn around to face it.',
+    tooDark: 'Your face is too dark. Move to a brighter place.',
+    tooBright: 'Your face is too bright. Move away from the direct light.',
+    lightFromLeft: 'Light is coming from your left. Turn slightly toward it.',
+    lightFromRight: 'Light is coming from your right. Turn slightly toward it.',
+    holdStill: 'Hold the phone still.',
+  },
+
+  // Guidance for a helper holding the phone, with the rear camera.
+  photographer: {
+    moveRight: 'Pan the phone left',
+    moveLeft: 'Pan the phone right',
+    moveDown: 'Tilt the phone up',
+    moveUp: 'Tilt the phone down',
+    moveCloser: 'Step closer',
+    moveFarther: 'Step back',
+    almostCentered: 'Almost centered. Make small adjustments with the phone.',
+    notCentered: 'The face is not centered. Please adjust the phone.',
+    faceCentered: 'The face is centered. You can take the photo now.',
+    groupCentered: 'Everyone is in the frame. You can take the photo now.',
+    turnHeadRight: 'Ask them to turn their head slightly to their right',
+    turnHeadLeft: 'Ask them to turn their head slightly to their left',
+    lowerChin: 'Ask them to lower their chin slightly',
+    raiseChin: 'Ask them to raise their chin slightly',
+    levelHead: 'Ask them to level their head',
+    everyoneFaceCamera: 'Ask everyone to face the camera',
+    alonePartlyOutOfFrame: 'The person is partly out of frame',
+    partlyOutOfFrame: '{person} is partly out of frame',
+    personOnLeft: 'The person on the left',
+    personOnRight: 'The person on the right',
+    personInMiddle: 'The person in the middle',
+    personFromLeft: 'The {ordinal} person from the left',
+    backlight: 'There is a bright light behind the person. ' +
+        'Ask them to turn around to face it.',
+    tooDark: 'The face is too dark. Find a brighter place.',
+    tooBright: 'The face is too bright. Move away from the direct light.',
+    lightFromLeft: 'Light is coming from their left. ' +
+        'Ask them to turn slightly toward it.',
+    lightFromRight: 'Light is coming from their right. ' +
+        'Ask them to turn slightly toward it.',
+    holdStill: 'Hold the phone still.',
+  },
+
+  // Status text, announcements and controls.
+  ui: {
+    facePosition: 'Face position',
+    groupPosition: {
+      one: 'Group position ({count} person)',
+      other: 'Group position ({count} people)',
+    },
+    statusCentered: '{label}: Centered',
+    statusNotCentered: '{label}: Not centered - Please center your face',
+    statusNoFace: 'Face position: No face detected',
+    statusWaiting: 'Face position: Waiting for detection...',
+    peopleInFrame: {
+      one: 'One person in frame.',
+      other: '{count} people in frame.',
+    },
+    someoneElseInPicture: 'Someone else is in the picture.',
+    countdownHoldStill: 'Hold still.',
+    countdownCancelled: 'Countdown cancelled. Center your face again.',
+    photoBlurryNotSaved: 'The photo is blurry, so it was not saved. ' +
+        'Hold the phone still and try again.',
+    photoMayBeBlurry: 'Warning: the photo may be blurry.',
+    photoCaptured: 'Photo captured successfully. You can now download it ' +
+        'using the Download Photo button.',
+    photoCapturedAlert: 'Photo captured successfully!',
+    photoSavingToGallery: 'Photo captured. Saving to gallery.',
+    photoDownloading: 'Photo captured and downloading automatically.',
+    photoDownloadedAlert: 'Photo captured and downloaded successfully!',
+    centerBeforePhoto: 'Please center your face before taking a photo. ' +
+        'Use the Announce Position button for guidance.',
+    centerBeforePhotoAlert: 'Please center your face before taking a photo.',
+    canTakePhoto: 'You can now take a photo by pressing the Take Photo ' +
+        'button in the middle of the screen, pressing Space, or ' +
+        'double-tapping the camera view.',
+    photoTakenStartOver: 'Photo has been taken and downloaded. Press the ' +
+        'Take Another Selfie button to take a new photo.',
+    appRestarted: 'App restarted. You can now take a new photo.',
+    autoCaptureOnButton: 'Auto-capture: On',
+    autoCaptureOffButton: 'Auto-capture: Off',
+    autoCaptureOn: 'Auto-capture on. The photo will be taken automatically ' +
+        'when your face stays centered.',
+    autoCaptureOff: 'Auto-capture off. Use the Take and Download Photo ' +
+        'button to take a photo.',
+    helperModeOnButton: 'Helper mode: On',
+    helperModeOffButton: 'Helper mode: Off',
+    helperModeOn: 'Helper mode on. Using the rear camera. Instructions will ' +
+        'tell you how to move the phone.',
+    helperModeOff: 'Helper mode off. Using the front camera. Instructions ' +
+        'will tell you how to move.',
+    voiceGuidanceEnabled: 'Voice guidance is now enabled. You will hear ' +
+        'instructions to help you take a selfie.',
+    voiceSynthesisTest: 'Voice synthesis test. This is how the app will ' +
+        'speak to you.',
+    voiceOutputWorking: 'Voice output is working. You can now use the face ' +
+        'detection app with voice guidance.',
+    speechOutputVoiceButton: 'Speech output: Built-in voice',
+    speechOutputScreenReaderButton: 'Speech output: Screen reader',
+    speechOutputBothButton: 'Speech output: Both',
+    speechOutputVoice: 'Guidance is spoken by the built-in voice.',
+    speechOutputScreenReader: 'Guidance is sent to your screen reader.',
+    speechOutputBoth: 'Guidance is spoken by the built-in voice and sent to ' +
+        'your screen reader.',
+    voiceCommandsOnButton: 'Voice commands: On',
+    voiceCommandsOffButton: 'Voice commands: Off',
+    voiceCommandsOn: 'Voice commands on. Say take photo, repeat, where am I, ' +
+        'download, start over or stop. Say stop listening to turn them off.',
+    voiceCommandsOnPushToListen: 'Voice commands on. Press Listen for ' +
+        'Command, then say take photo, repeat, where am I, download, start ' +
+        'over or stop.',
+    voiceCommandsOff: 'Voice commands off.',
+    voiceCommandsUnsupported: 'Voice commands are not supported in this ' +
+        'browser.',
+    pushToListen: 'Listen for Command',
+    pushToListenFallback: 'Continuous listening stopped. Press Listen for ' +
+        'Command each time you want to give a command.',
+    commandNotRecognized: 'Command not recognized. Say take photo, repeat, ' +
+        'where am I, download, start over or stop.',
+    microphoneDenied: 'Microphone access was denied, so voice commands are ' +
+        'off. Allow the microphone for this site in your browser settings.',
+    noGuidanceYet: 'There is no guidance yet.',
+    noPhotoYet: 'No photo has been taken yet.',
+    sayStartOver: 'The photo was already taken. Say start over to take a ' +
+        'new one.',
+    shortcutsHelp: 'Keyboard: Space or Enter takes the photo, R repeats the ' +
+        'guidance, D describes your position, Esc starts over. Touch: ' +
+        'double-tap or tap with two fingers on the camera view to take the ' +
+        'photo. Selfie remotes work too.',
+    keepPhoto: 'Keep',
+    keepPhotoLabel: 'Keep the photo and save it',
+    retakePhoto: 'Retake',
+    retakePhotoLabel: 'Discard the photo and take it again with guidance',
+    retakeSame: 'Retake with Same Settings',
+    retakeSameLabel: 'Discard the photo and take it again right away',
+    reviewChoose: 'Keep it, retake, or retake with the same settings?',
+    reviewPending: 'Choose Keep or Retake first.',
+    retaking: 'Photo discarded. Center your face again.',
+    retakingSame: 'Photo discarded. Hold still, taking it again.',
+    showHistory: 'Photo History',
+    historyHeading: 'Photo history',
+    historyCount: {
+      one: 'One photo saved on this device.',
+      other: '{count} photos saved on this device.',
+    },
+    historyEmpty: 'No photos saved on this device yet.',
+    historyKeptForSession: 'Photos are deleted from this device when you ' +
+        'close this tab.',
+    historyKeptAcrossVisits: 'Photos stay on this device until you delete ' +
+        'them.',
+    historyUnavailable: 'Photo history is not available in this browser.',
+    historyItem: 'Photo {position}, taken {time}.',
+    historyScore: 'Framing score {score} out of 100.',
+    historyListen: 'Listen',
+    historyListenLabel: 'Listen to the description of photo {position}',
+    historyDownload: 'Download',
+    historyDownloadLabel: 'Download photo {position}',
+    historyShare: 'Share',
+    historyShareLabel: 'Share photo {position}',
+    historyDelete: 'Delete',
+    historyDeleteLabel: 'Delete photo {position}',
+    historyDeleted: 'Photo {position} deleted.',
+    historyShareUnavailable: 'Sharing is not available, the photo is ' +
+        'downloaded instead.',
+    clearHistory: 'Clear All Photos',
+    clearHistoryLabel: 'Delete all photos from this device',
+    historyClearConfirm: 'Delete all photos from this device? This cannot ' +
+        'be undone.',
+    historyCleared: 'All photos deleted from this device.',
+    photoVersionEnhancedButton: 'Version: Enhanced',
+    photoVersionOriginalButton: 'Version: Original',
+    photoVersionEnhanced: 'Enhanced version selected.',
+    photoVersionOriginal: 'Original version selected, as the photo was ' +
+        'taken.',
+    photoVersionHint: 'Say switch version, or use the version button, to ' +
+        'compare it with the photo as taken.',
+    noEnhancedVersion: 'This photo has no enhanced version.',
+    facesAnonymized: {
+      one: 'One other face was hidden for privacy.',
+      other: '{count} other faces were hidden for privacy.',
+    },
+    enhancingPhoto: 'Enhancing the photo, {percent} percent.',
+    shareTitle: 'Selfie',
+    photoDescription: {
+      one: 'Selfie of one person, taken with the Accessible Selfie App.',
+      other: 'Photo of {count} people, taken with the Accessible Selfie App.',
+    },
+    photoDescriptionNoFace: 'Photo taken with the Accessible Selfie App.',
+    announcePosition: 'Announce Position',
+    announcePositionLabel: 'Announce face position',
+    takePhoto: 'Take Photo',
+    takePhotoLabel: 'Take photo when face is centered',
+    downloadPhoto: 'Download Photo',
+    downloadPhotoLabel: 'Download captured photo',
+    takeAndDownload: 'Take & Download Photo',
+    takeAndDownloadLabel: 'Take photo and download it immediately',
+    takeAnotherSelfie: 'Take Another Selfie',
+    takeAnotherSelfieLabel: 'Take another selfie',
+    enableVoiceGuidance: 'Enable Voice Guidance',
+    enableVoiceGuidanceLabel: 'Enable voice guidance for this app',
+    testVoice: 'Test Voice',
+    testVoiceLabel: 'Test voice output',
+    tryAgain: 'Try Again',
+    capturedPhoto: 'Captured photo',
+  },
+
+  // Spoken review of a captured photo. See `photo_review.js`.
+  review: {
+    faces: {
+      one: 'one face',
+      other: '{count} faces',
+    },
+    noFace: 'no face',
+    centered: 'centered',
+    offCenter: 'off center',
+    tooClose: 'too close',
+    tooFar: 'too far',
+    wellLit: 'well lit',
+    slightlyDark: 'slightly dark',
+    tooDark: 'too dark',
+    slightlyBright: 'slightly bright',
+    tooBright: 'too bright',
+    backlit: 'backlit',
+    sharp: 'sharp',
+    blurry: 'blurry',
+    eyesLevel: 'eyes level',
+    headTilted: 'head tilted',
+    headTurned: 'head turned',
+    report: 'Photo taken: {report}.',
+  },
+
+  // Corrections of the enhanced version of a photo. See `enhance.js`.
+  enhance: {
+    brighter: 'brighter',
+    darker: 'darker',
+    moreContrast: 'more contrast',
+    colorCorrected: 'color corrected',
+    denoised: 'less grainy',
+    noChanges: 'no changes needed',
+    report: 'Enhanced version: {changes}.',
+  },
+
+  // Which frame of a burst was kept. See `burst.js`.
+  burst: {
+    sharpness: 'sharpest',
+    centering: 'best centered',
+    size: 'best face size',
+    confidence: 'clearest face',
+    balance: 'best overall balance',
+    result: {
+      one: 'One frame considered.',
+      other: 'Best of {count} frames: {reasons}.',
+    },
+  },
+
+  // Spoken commands, phrases separated by '|'. See `voice_commands.js`.
+  commands: {
+    capture: 'take photo|take a photo|take picture|take a picture|capture|' +
+        'cheese',
+    repeat: 'repeat|say again|say that again|what did you say',
+    describe: 'where am i|describe|position|describe position',
+    download: 'download|save|save photo|download photo',
+    startOver: 'start over|again|take another|another one|restart',
+    stop: 'stop|be quiet|quiet',
+    stopListening: 'stop listening|turn off voice commands|' +
+        'voice commands off',
+    keep: 'keep|keep it|keep photo|keep the photo',
+    retake: 'retake|take again|retake photo|take it again',
+    retakeSame: 'retake same|same settings|retake with same settings|' +
+        'retake with the same settings',
+    switchVersion: 'switch version|switch|compare|other version',
+  },
+
+  // Why the camera could not be started and how to recover, by
+  // `CameraError` reason.
+  cameraErrors: {
+    'permission-denied': {
+      message: 'Camera access was denied.',
+      recovery: 'Allow camera access for this site in your browser ' +
+          'settings, usually from the icon next to the address bar, then ' +
+          'press Try Again.',
+    },
+    'no-camera': {
+      message: 'No camera was found.',
+      recovery: 'Connect a camera, or check that the camera of your device ' +
+          'is switched on, then press Try Again.',
+    },
+    'camera-in-use': {
+      message: 'The camera is being used by another app.',
+      recovery: 'Close other apps or browser tabs that use the camera, then ' +
+          'press Try Again.',
+    },
+    'unsupported': {
+      message: 'This browser cannot use the camera.',
+      recovery: 'Open this page over https in an up-to-date browser such as ' +
+          'Chrome, Safari, Firefox or Edge.',
+    },
+    'unknown': {
+      message: 'The camera could not be started.',
+      recovery: 'Press Try Again. If it still fails, reload the page.',
+    },
+  },
+};
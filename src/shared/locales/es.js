@@ -0,0 +1,354 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Spanish messages. See `en.js` for the keys and the message format.
+ */
+export const MESSAGES = {
+  name: 'Español',
+  speechLang: 'es-ES',
+  // Feminine, they describe "la persona".
+  ordinals: [
+    'primera', 'segunda', 'tercera', 'cuarta', 'quinta', 'sexta', 'séptima',
+    'octava', 'novena', 'décima',
+  ],
+
+  subject: {
+    moveRight: 'Muévete a la derecha',
+    moveLeft: 'Muévete a la izquierda',
+    moveDown: 'Muévete hacia abajo',
+    moveUp: 'Muévete hacia arriba',
+    moveCloser: 'Acércate a la cámara',
+    moveFarther: 'Aléjate de la cámara',
+    almostCentered: 'Casi centrado. Haz pequeños ajustes.',
+    notCentered: 'Tu cara no está centrada. Ajusta tu posición.',
+    faceCentered: 'Tu cara está centrada. Ya puedes hacer la foto.',
+    groupCentered: 'Todos están en el encuadre. Ya puedes hacer la foto.',
+    turnHeadRight: 'Gira la cabeza un poco a la derecha',
+    turnHeadLeft: 'Gira la cabeza un poco a la izquierda',
+    lowerChin: 'Baja un poco la barbilla',
+    raiseChin: 'Sube un poco la barbilla',
+    levelHead: 'Endereza la cabeza',
+    everyoneFaceCamera: 'Todos deben mirar a la cámara',
+    alonePartlyOutOfFrame: 'Estás parcialmente fuera del encuadre',
+    partlyOutOfFrame: '{person} está parcialmente fuera del encuadre',
+    personOnLeft: 'La persona de la izquierda',
+    personOnRight: 'La persona de la derecha',
+    personInMiddle: 'La persona del medio',
+    personFromLeft: 'La {ordinal} persona desde la izquierda',
+    backlight: 'Hay una luz intensa detrás de ti. Date la vuelta para ' +
+        'quedar de frente a ella.',
+    tooDark: 'Tu cara está demasiado oscura. Ve a un lugar más iluminado.',
+    tooBright: 'Tu cara está demasiado iluminada. Aléjate de la luz directa.',
+    lightFromLeft: 'La luz viene de tu izquierda. Gira un poco hacia ella.',
+    lightFromRight: 'La luz viene de tu derecha. Gira un poco hacia ella.',
+    holdStill: 'Mantén el teléfono quieto.',
+  },
+
+  photographer: {
+    moveRight: 'Gira el teléfono a la izquierda',
+    moveLeft: 'Gira el teléfono a la derecha',
+    moveDown: 'Inclina el teléfono hacia arriba',
+    moveUp: 'Inclina el teléfono hacia abajo',
+    moveCloser: 'Acércate',
+    moveFarther: 'Retrocede',
+    almostCentered: 'Casi centrado. Haz pequeños ajustes con el teléfono.',
+    notCentered: 'La cara no está centrada. Ajusta el teléfono.',
+    faceCentered: 'La cara está centrada. Ya puedes hacer la foto.',
+    groupCentered: 'Todos están en el encuadre. Ya puedes hacer la foto.',
+    turnHeadRight: 'Pídele que gire la cabeza un poco hacia su derecha',
+    turnHeadLeft: 'Pídele que gire la cabeza un poco hacia su izquierda',
+    lowerChin: 'Pídele que baje un poco la barbilla',
+    raiseChin: 'Pídele que suba un poco la barbilla',
+    levelHead: 'Pídele que enderece la cabeza',
+    everyoneFaceCamera: 'Pide a todos que miren a la cámara',
+    alonePartlyOutOfFrame: 'La persona está parcialmente fuera del encuadre',
+    partlyOutOfFrame: '{person} está parcialmente fuera del encuadre',
+    personOnLeft: 'La persona de la izquierda',
+    personOnRight: 'La persona de la derecha',
+    personInMiddle: 'La persona del medio',
+    personFromLeft: 'La {ordinal} persona desde la izquierda',
+    backlight: 'Hay una luz intensa detrás de la persona. ' +
+        'Pídele que se dé la vuelta para quedar de frente a ella.',
+    tooDark: 'La cara está demasiado oscura. Busca un lugar más iluminado.',
+    tooBright: 'La cara está demasiado iluminada. ' +
+        'Aléjate de la luz directa.',
+    lightFromLeft: 'La luz viene de su izquierda. ' +
+        'Pídele que gire un poco hacia ella.',
+    lightFromRight: 'La luz viene de su derecha. ' +
+        'Pídele que gire un poco hacia ella.',
+    holdStill: 'Mantén el teléfono quieto.',
+  },
+
+  ui: {
+    facePosition: 'Posición de la cara',
+    groupPosition: {
+      one: 'Posición del grupo ({count} persona)',
+      other: 'Posición del grupo ({count} personas)',
+    },
+    statusCentered: '{label}: Centrada',
+    statusNotCentered: '{label}: No centrada - Centra tu cara',
+    statusNoFace: 'Posición de la cara: No se detecta ninguna cara',
+    statusWaiting: 'Posición de la cara: Esperando la detección...',
+    peopleInFrame: {
+      one: 'Una persona en el encuadre.',
+      other: '{count} personas en el encuadre.',
+    },
+    someoneElseInPicture: 'Hay otra persona en la imagen.',
+    countdownHoldStill: 'No te muevas.',
+    countdownCancelled: 'Cuenta atrás cancelada. Vuelve a centrar la cara.',
+    photoBlurryNotSaved: 'La foto está borrosa y no se ha guardado. ' +
+        'Mantén el teléfono quieto y vuelve a intentarlo.',
+    photoMayBeBlurry: 'Atención: puede que la foto esté borrosa.',
+    photoCaptured: 'Foto hecha correctamente. Ya puedes descargarla con el ' +
+        'botón Descargar foto.',
+    photoCapturedAlert: '¡Foto hecha correctamente!',
+    photoSavingToGallery: 'Foto hecha. Guardando en la galería.',
+    photoDownloading: 'Foto hecha. Se está descargando automáticamente.',
+    photoDownloadedAlert: '¡Foto hecha y descargada correctamente!',
+    centerBeforePhoto: 'Centra tu cara antes de hacer la foto. ' +
+        'Usa el botón Anunciar posición para recibir indicaciones.',
+    centerBeforePhotoAlert: 'Centra tu cara antes de hacer la foto.',
+    canTakePhoto: 'Ya puedes hacer la foto pulsando el botón Hacer foto ' +
+        'en el centro de la pantalla, la barra espaciadora, o tocando dos ' +
+        'veces la imagen de la cámara.',
+    photoTakenStartOver: 'La foto se ha hecho y descargado. Pulsa el botón ' +
+        'Hacer otro selfi para hacer una foto nueva.',
+    appRestarted: 'Aplicación reiniciada. Ya puedes hacer una foto nueva.',
+    autoCaptureOnButton: 'Captura automática: Activada',
+    autoCaptureOffButton: 'Captura automática: Desactivada',
+    autoCaptureOn: 'Captura automática activada. La foto se hará ' +
+        'automáticamente cuando tu cara se mantenga centrada.',
+    autoCaptureOff: 'Captura automática desactivada. Usa el botón Hacer y ' +
+        'descargar foto para hacer la foto.',
+    helperModeOnButton: 'Modo ayudante: Activado',
+    helperModeOffButton: 'Modo ayudante: Desactivado',
+    helperModeOn: 'Modo ayudante activado. Se usa la cámara trasera. Las ' +
+        'instrucciones te dirán cómo mover el teléfono.',
+    helperModeOff: 'Modo ayudante desactivado. Se usa la cámara frontal. ' +
+        'Las instrucciones te dirán cómo moverte.',
+    voiceGuidanceEnabled: 'La guía por voz está activada. Oirás ' +
+        'instrucciones para ayudarte a hacer un selfi.',
+    voiceSynthesisTest: 'Prueba de síntesis de voz. Así te hablará la ' +
+        'aplicación.',
+    voiceOutputWorking: 'La salida de voz funciona. Ya puedes usar la ' +
+        'aplicación de detección de caras con guía por voz.',
+    speechOutputVoiceButton: 'Salida de voz: Voz integrada',
+    speechOutputScreenReaderButton: 'Salida de voz: Lector de pantalla',
+    speechOutputBothButton: 'Salida de voz: Ambas',
+    speechOutputVoice: 'Las indicaciones las dice la voz integrada.',
+    speechOutputScreenReader: 'Las indicaciones se envían a tu lector de ' +
+        'pantalla.',
+    speechOutputBoth: 'Las indicaciones las dice la voz integrada y se ' +
+        'envían a tu lector de pantalla.',
+    voiceCommandsOnButton: 'Comandos de voz: Activados',
+    voiceCommandsOffButton: 'Comandos de voz: Desactivados',
+    voiceCommandsOn: 'Comandos de voz activados. Di haz la foto, repite, ' +
+        'dónde estoy, descarga, empezar de nuevo o para. Di deja de escuchar ' +
+        'para desactivarlos.',
+    voiceCommandsOnPushToListen: 'Comandos de voz activados. Pulsa ' +
+        'Escuchar comando y di haz la foto, repite, dónde estoy, descarga, ' +
+        'empezar de nuevo o para.',
+    voiceCommandsOff: 'Comandos de voz desactivados.',
+    voiceCommandsUnsupported: 'Este navegador no admite comandos de voz.',
+    pushToListen: 'Escuchar comando',
+    pushToListenFallback: 'La escucha continua se ha detenido. Pulsa ' +
+        'Escuchar comando cada vez que quieras dar un comando.',
+    commandNotRecognized: 'No se ha reconocido el comando. Di haz la foto, ' +
+        'repite, dónde estoy, descarga, empezar de nuevo o para.',
+    microphoneDenied: 'Se ha denegado el acceso al micrófono, así que los ' +
+        'comandos de voz están desactivados. Permite el micrófono para este ' +
+        'sitio en los ajustes del navegador.',
+    noGuidanceYet: 'Todavía no hay indicaciones.',
+    noPhotoYet: 'Todavía no se ha hecho ninguna foto.',
+    sayStartOver: 'La foto ya está hecha. Di empezar de nuevo para hacer ' +
+        'otra.',
+    shortcutsHelp: 'Teclado: Espacio o Intro hace la foto, R repite las ' +
+        'indicaciones, D describe tu posición, Esc vuelve a empezar. ' +
+        'Pantalla táctil: toca dos veces o con dos dedos la imagen de la ' +
+        'cámara para hacer la foto. También funcionan los mandos para selfis.',
+    keepPhoto: 'Conservar',
+    keepPhotoLabel: 'Conservar la foto y guardarla',
+    retakePhoto: 'Repetir',
+    retakePhotoLabel: 'Descartar la foto y repetirla con indicaciones',
+    retakeSame: 'Repetir con los mismos ajustes',
+    retakeSameLabel: 'Descartar la foto y repetirla ahora mismo',
+    reviewChoose: '¿Conservarla, repetirla o repetirla con los mismos ' +
+        'ajustes?',
+    reviewPending: 'Primero elige Conservar o Repetir.',
+    retaking: 'Foto descartada. Centra tu cara de nuevo.',
+    retakingSame: 'Foto descartada. No te muevas, se repite ahora.',
+    showHistory: 'Historial de fotos',
+    historyHeading: 'Historial de fotos',
+    historyCount: {
+      one: 'Una foto guardada en este dispositivo.',
+      other: '{count} fotos guardadas en este dispositivo.',
+    },
+    historyEmpty: 'Aún no hay fotos guardadas en este dispositivo.',
+    historyKeptForSession: 'Las fotos se borran de este dispositivo al ' +
+        'cerrar esta pestaña.',
+    historyKeptAcrossVisits: 'Las fotos se quedan en este dispositivo hasta ' +
+        'que las borres.',
+    historyUnavailable: 'El historial de fotos no está disponible en este ' +
+        'navegador.',
+    historyItem: 'Foto {position}, hecha el {time}.',
+    historyScore: 'Puntuación de encuadre: {score} de 100.',
+    historyListen: 'Escuchar',
+    historyListenLabel: 'Escuchar la descripción de la foto {position}',
+    historyDownload: 'Descargar',
+    historyDownloadLabel: 'Descargar la foto {position}',
+    historyShare: 'Compartir',
+    historyShareLabel: 'Compartir la foto {position}',
+    historyDelete: 'Borrar',
+    historyDeleteLabel: 'Borrar la foto {position}',
+    historyDeleted: 'Foto {position} borrada.',
+    historyShareUnavailable: 'No se puede compartir, la foto se descarga ' +
+        'en su lugar.',
+    clearHistory: 'Borrar todas las fotos',
+    clearHistoryLabel: 'Borrar todas las fotos de este dispositivo',
+    historyClearConfirm: '¿Borrar todas las fotos de este dispositivo? No ' +
+        'se puede deshacer.',
+    historyCleared: 'Todas las fotos borradas de este dispositivo.',
+    photoVersionEnhancedButton: 'Versión: Mejorada',
+    photoVersionOriginalButton: 'Versión: Original',
+    photoVersionEnhanced: 'Versión mejorada seleccionada.',
+    photoVersionOriginal: 'Versión original seleccionada, tal como se hizo ' +
+        'la foto.',
+    photoVersionHint: 'Di cambiar versión, o usa el botón de versión, para ' +
+        'compararla con la foto original.',
+    noEnhancedVersion: 'Esta foto no tiene versión mejorada.',
+    facesAnonymized: {
+      one: 'Se ocultó otra cara por privacidad.',
+      other: 'Se ocultaron otras {count} caras por privacidad.',
+    },
+    enhancingPhoto: 'Mejorando la foto, {percent} por ciento.',
+    shareTitle: 'Selfi',
+    photoDescription: {
+      one: 'Selfi de una persona, hecho con la aplicación Accessible Selfie.',
+      other: 'Foto de {count} personas, hecha con la aplicación ' +
+          'Accessible Selfie.',
+    },
+    photoDescriptionNoFace: 'Foto hecha con la aplicación Accessible Selfie.',
+    announcePosition: 'Anunciar posición',
+    announcePositionLabel: 'Anunciar la posición de la cara',
+    takePhoto: 'Hacer foto',
+    takePhotoLabel: 'Hacer la foto cuando la cara esté centrada',
+    downloadPhoto: 'Descargar foto',
+    downloadPhotoLabel: 'Descargar la foto hecha',
+    takeAndDownload: 'Hacer y descargar foto',
+    takeAndDownloadLabel: 'Hacer la foto y descargarla al momento',
+    takeAnotherSelfie: 'Hacer otro selfi',
+    takeAnotherSelfieLabel: 'Hacer otro selfi',
+    enableVoiceGuidance: 'Activar guía por voz',
+    enableVoiceGuidanceLabel: 'Activar la guía por voz de esta aplicación',
+    testVoice: 'Probar voz',
+    testVoiceLabel: 'Probar la salida de voz',
+    tryAgain: 'Reintentar',
+    capturedPhoto: 'Foto hecha',
+  },
+
+  review: {
+    faces: {
+      one: 'una cara',
+      other: '{count} caras',
+    },
+    noFace: 'ninguna cara',
+    centered: 'centrada',
+    offCenter: 'descentrada',
+    tooClose: 'demasiado cerca',
+    tooFar: 'demasiado lejos',
+    wellLit: 'bien iluminada',
+    slightlyDark: 'algo oscura',
+    tooDark: 'demasiado oscura',
+    slightlyBright: 'algo clara',
+    tooBright: 'demasiado clara',
+    backlit: 'a contraluz',
+    sharp: 'nítida',
+    blurry: 'borrosa',
+    eyesLevel: 'ojos nivelados',
+    headTilted: 'cabeza inclinada',
+    headTurned: 'cabeza girada',
+    report: 'Foto hecha: {report}.',
+  },
+
+  enhance: {
+    brighter: 'más clara',
+    darker: 'más oscura',
+    moreContrast: 'más contraste',
+    colorCorrected: 'color corregido',
+    denoised: 'menos grano',
+    noChanges: 'sin cambios necesarios',
+    report: 'Versión mejorada: {changes}.',
+  },
+
+  burst: {
+    sharpness: 'la más nítida',
+    centering: 'la mejor centrada',
+    size: 'el mejor tamaño de cara',
+    confidence: 'la cara más clara',
+    balance: 'el mejor equilibrio general',
+    result: {
+      one: 'Se consideró una imagen.',
+      other: 'La mejor de {count} imágenes: {reasons}.',
+    },
+  },
+
+  commands: {
+    capture: 'haz la foto|hacer foto|hacer la foto|foto|captura|patata',
+    repeat: 'repite|repetir|otra vez|qué dijiste',
+    describe: 'dónde estoy|describe|posición|describir posición',
+    download: 'descarga|descargar|guarda|guardar|guardar foto',
+    startOver: 'empezar de nuevo|de nuevo|otra foto|otro selfi|reiniciar',
+    stop: 'para|parar|detente|silencio',
+    stopListening: 'deja de escuchar|desactivar comandos de voz|' +
+        'desactiva los comandos de voz',
+    keep: 'conservar|consérvala|conservar foto|me la quedo',
+    retake: 'rehacer|repetir la foto|rehacer la foto|hazla otra vez',
+    retakeSame: 'mismos ajustes|repetir con los mismos ajustes|' +
+        'rehacer con los mismos ajustes',
+    switchVersion: 'cambiar versión|cambiar|comparar|otra versión',
+  },
+
+  cameraErrors: {
+    'permission-denied': {
+      message: 'Se ha denegado el acceso a la cámara.',
+      recovery: 'Permite el acceso a la cámara para este sitio en los ' +
+          'ajustes del navegador, normalmente desde el icono junto a la ' +
+          'barra de direcciones, y pulsa Reintentar.',
+    },
+    'no-camera': {
+      message: 'No se ha encontrado ninguna cámara.',
+      recovery: 'Conecta una cámara o comprueba que la cámara del ' +
+          'dispositivo esté encendida, y pulsa Reintentar.',
+    },
+    'camera-in-use': {
+      message: 'Otra aplicación está usando la cámara.',
+      recovery: 'Cierra otras aplicaciones o pestañas del navegador que ' +
+          'usen la cámara y pulsa Reintentar.',
+    },
+    'unsupported': {
+      message: 'Este navegador no puede usar la cámara.',
+      recovery: 'Abre esta página con https en un navegador actualizado, ' +
+          'como Chrome, Safari, Firefox o Edge.',
+    },
+    'unknown': {
+      message: 'No se ha podido iniciar la cámara.',
+      recovery: 'Pulsa Reintentar. Si sigue fallando, vuelve a cargar la ' +
+          'página.',
+    },
+  },
+};
@@ -0,0 +1,370 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * French messages. See `en.js` for the keys and the message format.
+ */
+export const MESSAGES = {
+  name: 'Français',
+  speechLang: 'fr-FR',
+  // Feminine, they describe "la personne".
+  ordinals: [
+    'première', 'deuxième', 'troisième', 'quatrième', 'cinquième',
+    'sixième', 'septième', 'huitième', 'neuvième', 'dixième',
+  ],
+
+  subject: {
+    moveRight: 'Déplacez-vous vers la droite',
+    moveLeft: 'Déplacez-vous vers la gauche',
+    moveDown: 'Déplacez-vous vers le bas',
+    moveUp: 'Déplacez-vous vers le haut',
+    moveCloser: 'Rapprochez-vous de la caméra',
+    moveFarther: 'Éloignez-vous de la caméra',
+    almostCentered: 'Presque centré. Faites de petits ajustements.',
+    notCentered: 'Votre visage n\'est pas centré. Ajustez votre position.',
+    faceCentered: 'Votre visage est centré. Vous pouvez prendre la photo.',
+    groupCentered: 'Tout le monde est dans le cadre. ' +
+        'Vous pouvez prendre la photo.',
+    turnHeadRight: 'Tournez légèrement la tête vers la droite',
+    turnHeadLeft: 'Tournez légèrement la tête vers la gauche',
+    lowerChin: 'Baissez légèrement le menton',
+    raiseChin: 'Levez légèrement le menton',
+    levelHead: 'Redressez la tête',
+    everyoneFaceCamera: 'Tout le monde doit regarder la caméra',
+    alonePartlyOutOfFrame: 'Vous êtes en partie hors du cadre',
+    partlyOutOfFrame: '{person} est en partie hors du cadre',
+    personOnLeft: 'La personne à gauche',
+    personOnRight: 'La personne à droite',
+    personInMiddle: 'La personne au milieu',
+    personFromLeft: 'La {ordinal} personne en partant de la gauche',
+    backlight: 'Il y a une lumière vive derrière vous. ' +
+        'Retournez-vous pour lui faire face.',
+    tooDark: 'Votre visage est trop sombre. ' +
+        'Allez dans un endroit plus lumineux.',
+    tooBright: 'Votre visage est trop éclairé. ' +
+        'Éloignez-vous de la lumière directe.',
+    lightFromLeft: 'La lumière vient de votre gauche. ' +
+        'Tournez-vous légèrement vers elle.',
+    lightFromRight: 'La lumière vient de votre droite. ' +
+        'Tournez-vous légèrement vers elle.',
+    holdStill: 'Tenez le téléphone immobile.',
+  },
+
+  photographer: {
+    moveRight: 'Tournez le téléphone vers la gauche',
+    moveLeft: 'Tournez le téléphone vers la droite',
+    moveDown: 'Inclinez le téléphone vers le haut',
+    moveUp: 'Inclinez le téléphone vers le bas',
+    moveCloser: 'Approchez-vous',
+    moveFarther: 'Reculez',
+    almostCentered: 'Presque centré. ' +
+        'Faites de petits ajustements avec le téléphone.',
+    notCentered: 'Le visage n\'est pas centré. Ajustez le téléphone.',
+    faceCentered: 'Le visage est centré. Vous pouvez prendre la photo.',
+    groupCentered: 'Tout le monde est dans le cadre. ' +
+        'Vous pouvez prendre la photo.',
+    turnHeadRight: 'Demandez-lui de tourner légèrement la tête vers sa droite',
+    turnHeadLeft: 'Demandez-lui de tourner légèrement la tête vers sa gauche',
+    lowerChin: 'Demandez-lui de baisser légèrement le menton',
+    raiseChin: 'Demandez-lui de lever légèrement le menton',
+    levelHead: 'Demandez-lui de redresser la tête',
+    everyoneFaceCamera: 'Demandez à tout le monde de regarder la caméra',
+    alonePartlyOutOfFrame: 'La personne est en partie hors du cadre',
+    partlyOutOfFrame: '{person} est en partie hors du cadre',
+    personOnLeft: 'La personne à gauche',
+    personOnRight: 'La personne à droite',
+    personInMiddle: 'La personne au milieu',
+    personFromLeft: 'La {ordinal} personne en partant de la gauche',
+    backlight: 'Il y a une lumière vive derrière la personne. ' +
+        'Demandez-lui de se retourner pour lui faire face.',
+    tooDark: 'Le visage est trop sombre. Trouvez un endroit plus lumineux.',
+    tooBright: 'Le visage est trop éclairé. ' +
+        'Éloignez-vous de la lumière directe.',
+    lightFromLeft: 'La lumière vient de sa gauche. ' +
+        'Demandez-lui de se tourner légèrement vers elle.',
+    lightFromRight: 'La lumière vient de sa droite. ' +
+        'Demandez-lui de se tourner légèrement vers elle.',
+    holdStill: 'Tenez le téléphone immobile.',
+  },
+
+  ui: {
+    facePosition: 'Position du visage',
+    groupPosition: {
+      one: 'Position du groupe ({count} personne)',
+      other: 'Position du groupe ({count} personnes)',
+    },
+    statusCentered: '{label} : Centré',
+    statusNotCentered: '{label} : Pas centré - Centrez votre visage',
+    statusNoFace: 'Position du visage : Aucun visage détecté',
+    statusWaiting: 'Position du visage : En attente de détection...',
+    peopleInFrame: {
+      one: 'Une personne dans le cadre.',
+      other: '{count} personnes dans le cadre.',
+    },
+    someoneElseInPicture: 'Quelqu\'un d\'autre est dans l\'image.',
+    countdownHoldStill: 'Ne bougez plus.',
+    countdownCancelled: 'Compte à rebours annulé. ' +
+        'Centrez à nouveau votre visage.',
+    photoBlurryNotSaved: 'La photo est floue, elle n\'a pas été enregistrée. ' +
+        'Tenez le téléphone immobile et réessayez.',
+    photoMayBeBlurry: 'Attention : la photo est peut-être floue.',
+    photoCaptured: 'Photo prise. Vous pouvez maintenant la télécharger avec ' +
+        'le bouton Télécharger la photo.',
+    photoCapturedAlert: 'Photo prise !',
+    photoSavingToGallery: 'Photo prise. Enregistrement dans la galerie.',
+    photoDownloading: 'Photo prise. Téléchargement automatique en cours.',
+    photoDownloadedAlert: 'Photo prise et téléchargée !',
+    centerBeforePhoto: 'Centrez votre visage avant de prendre la photo. ' +
+        'Utilisez le bouton Annoncer la position pour être guidé.',
+    centerBeforePhotoAlert: 'Centrez votre visage avant de prendre la photo.',
+    canTakePhoto: 'Vous pouvez maintenant prendre la photo avec le bouton ' +
+        'Prendre une photo au milieu de l\'écran, la barre d\'espace, ou ' +
+        'en touchant deux fois l\'image de la caméra.',
+    photoTakenStartOver: 'La photo a été prise et téléchargée. Appuyez sur ' +
+        'le bouton Prendre un autre selfie pour prendre une nouvelle photo.',
+    appRestarted: 'Application redémarrée. ' +
+        'Vous pouvez prendre une nouvelle photo.',
+    autoCaptureOnButton: 'Capture automatique : Activée',
+    autoCaptureOffButton: 'Capture automatique : Désactivée',
+    autoCaptureOn: 'Capture automatique activée. La photo sera prise ' +
+        'automatiquement quand votre visage restera centré.',
+    autoCaptureOff: 'Capture automatique désactivée. Utilisez le bouton ' +
+        'Prendre et télécharger la photo pour prendre la photo.',
+    helperModeOnButton: 'Mode assistant : Activé',
+    helperModeOffButton: 'Mode assistant : Désactivé',
+    helperModeOn: 'Mode assistant activé. La caméra arrière est utilisée. ' +
+        'Les instructions vous diront comment déplacer le téléphone.',
+    helperModeOff: 'Mode assistant désactivé. La caméra avant est utilisée. ' +
+        'Les instructions vous diront comment vous déplacer.',
+    voiceGuidanceEnabled: 'Le guidage vocal est activé. Vous entendrez des ' +
+        'instructions pour vous aider à prendre un selfie.',
+    voiceSynthesisTest: 'Test de synthèse vocale. Voici comment ' +
+        'l\'application vous parlera.',
+    voiceOutputWorking: 'La sortie vocale fonctionne. Vous pouvez ' +
+        'maintenant utiliser l\'application avec le guidage vocal.',
+    speechOutputVoiceButton: 'Sortie vocale : Voix intégrée',
+    speechOutputScreenReaderButton: 'Sortie vocale : Lecteur d\'écran',
+    speechOutputBothButton: 'Sortie vocale : Les deux',
+    speechOutputVoice: 'Les instructions sont lues par la voix intégrée.',
+    speechOutputScreenReader: 'Les instructions sont envoyées à votre ' +
+        'lecteur d\'écran.',
+    speechOutputBoth: 'Les instructions sont lues par la voix intégrée et ' +
+        'envoyées à votre lecteur d\'écran.',
+    voiceCommandsOnButton: 'Commandes vocales : Activées',
+    voiceCommandsOffButton: 'Commandes vocales : Désactivées',
+    voiceCommandsOn: 'Commandes vocales activées. Dites prends la photo, ' +
+        'répète, où suis-je, télécharge, recommencer ou stop. Dites arrête ' +
+        'd\'écouter pour les désactiver.',
+    voiceCommandsOnPushToListen: 'Commandes vocales activées. Appuyez sur ' +
+        'Écouter une commande, puis dites prends la photo, répète, ' +
+        'où suis-je, télécharge, recommencer ou stop.',
+    voiceCommandsOff: 'Commandes vocales désactivées.',
+    voiceCommandsUnsupported: 'Ce navigateur ne prend pas en charge les ' +
+        'commandes vocales.',
+    pushToListen: 'Écouter une commande',
+    pushToListenFallback: 'L\'écoute continue s\'est arrêtée. Appuyez sur ' +
+        'Écouter une commande chaque fois que vous voulez donner une commande.',
+    commandNotRecognized: 'Commande non reconnue. Dites prends la photo, ' +
+        'répète, où suis-je, télécharge, recommencer ou stop.',
+    microphoneDenied: 'L\'accès au micro a été refusé, les commandes ' +
+        'vocales sont donc désactivées. Autorisez le micro pour ce site dans ' +
+        'les paramètres du navigateur.',
+    noGuidanceYet: 'Il n\'y a pas encore d\'instructions.',
+    noPhotoYet: 'Aucune photo n\'a encore été prise.',
+    sayStartOver: 'La photo a déjà été prise. Dites recommencer pour en ' +
+        'prendre une autre.',
+    shortcutsHelp: 'Clavier : Espace ou Entrée prend la photo, R répète les ' +
+        'indications, D décrit votre position, Échap recommence. Écran ' +
+        'tactile : touchez deux fois ou avec deux doigts l\'image de la ' +
+        'caméra pour prendre la photo. Les télécommandes pour selfie ' +
+        'fonctionnent aussi.',
+    keepPhoto: 'Garder',
+    keepPhotoLabel: 'Garder la photo et l\'enregistrer',
+    retakePhoto: 'Reprendre',
+    retakePhotoLabel: 'Supprimer la photo et la reprendre avec les ' +
+        'indications',
+    retakeSame: 'Reprendre avec les mêmes réglages',
+    retakeSameLabel: 'Supprimer la photo et la reprendre tout de suite',
+    reviewChoose: 'La garder, la reprendre, ou la reprendre avec les mêmes ' +
+        'réglages ?',
+    reviewPending: 'Choisissez d\'abord Garder ou Reprendre.',
+    retaking: 'Photo supprimée. Centrez à nouveau votre visage.',
+    retakingSame: 'Photo supprimée. Ne bougez pas, elle est reprise.',
+    showHistory: 'Historique des photos',
+    historyHeading: 'Historique des photos',
+    historyCount: {
+      one: 'Une photo enregistrée sur cet appareil.',
+      other: '{count} photos enregistrées sur cet appareil.',
+    },
+    historyEmpty: 'Aucune photo enregistrée sur cet appareil pour ' +
+        'l\'instant.',
+    historyKeptForSession: 'Les photos sont supprimées de cet appareil ' +
+        'quand vous fermez cet onglet.',
+    historyKeptAcrossVisits: 'Les photos restent sur cet appareil jusqu\'à ' +
+        'ce que vous les supprimiez.',
+    historyUnavailable: 'L\'historique des photos n\'est pas disponible ' +
+        'dans ce navigateur.',
+    historyItem: 'Photo {position}, prise le {time}.',
+    historyScore: 'Score de cadrage : {score} sur 100.',
+    historyListen: 'Écouter',
+    historyListenLabel: 'Écouter la description de la photo {position}',
+    historyDownload: 'Télécharger',
+    historyDownloadLabel: 'Télécharger la photo {position}',
+    historyShare: 'Partager',
+    historyShareLabel: 'Partager la photo {position}',
+    historyDelete: 'Supprimer',
+    historyDeleteLabel: 'Supprimer la photo {position}',
+    historyDeleted: 'Photo {position} supprimée.',
+    historyShareUnavailable: 'Le partage n\'est pas disponible, la photo ' +
+        'est téléchargée à la place.',
+    clearHistory: 'Supprimer toutes les photos',
+    clearHistoryLabel: 'Supprimer toutes les photos de cet appareil',
+    historyClearConfirm: 'Supprimer toutes les photos de cet appareil ? ' +
+        'Cette action est irréversible.',
+    historyCleared: 'Toutes les photos ont été supprimées de cet appareil.',
+    photoVersionEnhancedButton: 'Version : Améliorée',
+    photoVersionOriginalButton: 'Version : Originale',
+    photoVersionEnhanced: 'Version améliorée sélectionnée.',
+    photoVersionOriginal: 'Version originale sélectionnée, telle que la ' +
+        'photo a été prise.',
+    photoVersionHint: 'Dites changer de version, ou utilisez le bouton de ' +
+        'version, pour la comparer à la photo originale.',
+    noEnhancedVersion: 'Cette photo n\'a pas de version améliorée.',
+    facesAnonymized: {
+      one: 'Un autre visage a été masqué pour préserver la vie privée.',
+      other: '{count} autres visages ont été masqués pour préserver la vie ' +
+          'privée.',
+    },
+    enhancingPhoto: 'Amélioration de la photo, {percent} pour cent.',
+    shareTitle: 'Selfie',
+    photoDescription: {
+      one: 'Selfie d\'une personne, pris avec l\'application ' +
+          'Accessible Selfie.',
+      other: 'Photo de {count} personnes, prise avec l\'application ' +
+          'Accessible Selfie.',
+    },
+    photoDescriptionNoFace: 'Photo prise avec l\'application ' +
+        'Accessible Selfie.',
+    announcePosition: 'Annoncer la position',
+    announcePositionLabel: 'Annoncer la position du visage',
+    takePhoto: 'Prendre une photo',
+    takePhotoLabel: 'Prendre la photo quand le visage est centré',
+    downloadPhoto: 'Télécharger la photo',
+    downloadPhotoLabel: 'Télécharger la photo prise',
+    takeAndDownload: 'Prendre et télécharger la photo',
+    takeAndDownloadLabel: 'Prendre la photo et la télécharger immédiatement',
+    takeAnotherSelfie: 'Prendre un autre selfie',
+    takeAnotherSelfieLabel: 'Prendre un autre selfie',
+    enableVoiceGuidance: 'Activer le guidage vocal',
+    enableVoiceGuidanceLabel: 'Activer le guidage vocal de l\'application',
+    testVoice: 'Tester la voix',
+    testVoiceLabel: 'Tester la sortie vocale',
+    tryAgain: 'Réessayer',
+    capturedPhoto: 'Photo prise',
+  },
+
+  review: {
+    faces: {
+      one: 'un visage',
+      other: '{count} visages',
+    },
+    noFace: 'aucun visage',
+    centered: 'centré',
+    offCenter: 'décentré',
+    tooClose: 'trop près',
+    tooFar: 'trop loin',
+    wellLit: 'bien éclairé',
+    slightlyDark: 'un peu sombre',
+    tooDark: 'trop sombre',
+    slightlyBright: 'un peu clair',
+    tooBright: 'trop clair',
+    backlit: 'à contre-jour',
+    sharp: 'net',
+    blurry: 'flou',
+    eyesLevel: 'yeux à niveau',
+    headTilted: 'tête inclinée',
+    headTurned: 'tête tournée',
+    report: 'Photo prise : {report}.',
+  },
+
+  enhance: {
+    brighter: 'plus claire',
+    darker: 'plus sombre',
+    moreContrast: 'plus de contraste',
+    colorCorrected: 'couleurs corrigées',
+    denoised: 'moins de grain',
+    noChanges: 'aucun changement nécessaire',
+    report: 'Version améliorée : {changes}.',
+  },
+
+  burst: {
+    sharpness: 'la plus nette',
+    centering: 'la mieux centrée',
+    size: 'la meilleure taille de visage',
+    confidence: 'le visage le plus clair',
+    balance: 'le meilleur équilibre général',
+    result: {
+      one: 'Une image prise en compte.',
+      other: 'La meilleure de {count} images : {reasons}.',
+    },
+  },
+
+  commands: {
+    capture: 'prends la photo|prendre la photo|prendre une photo|photo|' +
+        'capture|ouistiti',
+    repeat: 'répète|répéter|encore une fois|qu\'as-tu dit',
+    describe: 'où suis-je|où je suis|décris|position|décrire la position',
+    download: 'télécharge|télécharger|enregistre|enregistrer',
+    startOver: 'recommencer|recommence|une autre|autre photo|redémarrer',
+    stop: 'stop|arrête|arrêter|silence',
+    stopListening: 'arrête d\'écouter|arrêter d\'écouter|' +
+        'désactiver les commandes vocales',
+    keep: 'garder|garde-la|je la garde|garder la photo',
+    retake: 'reprendre|reprends|reprendre la photo|refaire la photo',
+    retakeSame: 'mêmes réglages|reprendre avec les mêmes réglages',
+    switchVersion: 'changer de version|changer|comparer|autre version',
+  },
+
+  cameraErrors: {
+    'permission-denied': {
+      message: 'L\'accès à la caméra a été refusé.',
+      recovery: 'Autorisez l\'accès à la caméra pour ce site dans les ' +
+          'paramètres du navigateur, en général depuis l\'icône à côté de ' +
+          'la barre d\'adresse, puis appuyez sur Réessayer.',
+    },
+    'no-camera': {
+      message: 'Aucune caméra n\'a été trouvée.',
+      recovery: 'Branchez une caméra ou vérifiez que la caméra de ' +
+          'l\'appareil est allumée, puis appuyez sur Réessayer.',
+    },
+    'camera-in-use': {
+      message: 'La caméra est utilisée par une autre application.',
+      recovery: 'Fermez les autres applications ou onglets qui utilisent la ' +
+          'caméra, puis appuyez sur Réessayer.',
+    },
+    'unsupported': {
+      message: 'Ce navigateur ne peut pas utiliser la caméra.',
+      recovery: 'Ouvrez cette page en https dans un navigateur à jour comme ' +
+          'Chrome, Safari, Firefox ou Edge.',
+    },
+    'unknown': {
+      message: 'La caméra n\'a pas pu être démarrée.',
+      recovery: 'Appuyez sur Réessayer. Si le problème persiste, rechargez ' +
+          'la page.',
+    },
+  },
+};
@@ -0,0 +1,336 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {
+  bytesToDataUrl,
+  concatBytes,
+  createPngChunk,
+  dataUrlToBytes,
+} from './image_files';
+
+/** Name written as the software that made the photo. */
+export const SOFTWARE = 'Accessible Selfie App';
+
+// TIFF field types
+const BYTE = 1;
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+const UNDEFINED = 7;
+
+// Orientation 1: the pixels are stored upright, mirroring is already applied
+const ORIENTATION_UPRIGHT = 1;
+
+const encoder = new TextEncoder();
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Local time as written in Exif, 'YYYY:MM:DD HH:MM:SS'
+function formatExifDate(date) {
+  return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:` +
+      `${pad(date.getDate())} ${pad(date.getHours())}:` +
+      `${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// Offset of the local time from UTC, '+HH:MM'
+function formatTimeOffset(date) {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:` +
+      `${pad(Math.abs(offset) % 60)}`;
+}
+
+// Local time with its offset, as written in XMP
+function formatXmpDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-` +
+      `${pad(date.getDate())}T${pad(date.getHours())}:` +
+      `${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+      formatTimeOffset(date);
+}
+
+// Degrees as the degrees, minutes and seconds rationals of Exif GPS tags
+function toDegreesMinutesSeconds(value) {
+  const degrees = Math.floor(value);
+  const minutes = Math.floor((value - degrees) * 60);
+  const seconds = Math.round(((value - degrees) * 60 - minutes) * 60 * 1000);
+  return [[degrees, 1], [minutes, 1], [seconds, 1000]];
+}
+
+// The bytes of a TIFF field value, big-endian
+function encodeValue(entry) {
+  if (entry.type === ASCII) {
+    // Exif ASCII fields are read as UTF-8 by most software
+    return concatBytes([encoder.encode(entry.value), new Uint8Array(1)]);
+  }
+  if (entry.type === BYTE || entry.type === UNDEFINED) {
+    return Uint8Array.from(entry.value);
+  }
+  const values = entry.value;
+  const size = {[SHORT]: 2, [LONG]: 4, [RATIONAL]: 8}[entry.type];
+  const bytes = new Uint8Array(values.length * size);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => {
+    if (entry.type === SHORT) {
+      view.setUint16(i * 2, value);
+    } else if (entry.type === LONG) {
+      view.setUint32(i * 4, value);
+    } else {
+      view.setUint32(i * 8, value[0]);
+      view.setUint32(i * 8 + 4, value[1]);
+    }
+  });
+  return bytes;
+}
+
+function getCount(entry, data) {
+  return entry.type === ASCII ? data.length : entry.value.length;
+}
+
+// Values longer than four bytes are stored after the directory, at even
+// offsets
+function getIfdSize(entries) {
+  return entries.reduce((size, entry) => {
+    const length = encodeValue(entry).length;
+    return size + (length > 4 ? length + length % 2 : 0);
+  }, 2 + entries.length * 12 + 4);
+}
+
+function writeIfd(view, offset, entries) {
+  const sorted = entries.slice().sort((a, b) => a.tag - b.tag);
+  view.setUint16(offset, sorted.length);
+  let dataOffset = offset + 2 + sorted.length * 12 + 4;
+  sorted.forEach((entry, i) => {
+    const data = encodeValue(entry);
+    const entryOffset = offset + 2 + i * 12;
+    view.setUint16(entryOffset, entry.tag);
+    view.setUint16(entryOffset + 2, entry.type);
+    view.setUint32(entryOffset + 4, getCount(entry, data));
+    let target = entryOffset + 8;
+    if (data.length > 4) {
+      view.setUint32(entryOffset + 8, dataOffset);
+      target = dataOffset;
+      dataOffset += data.length + data.length % 2;
+    }
+    data.forEach((byte, j) => view.setUint8(target + j, byte));
+  });
+  // No next directory
+  view.setUint32(offset + 2 + sorted.length * 12, 0);
+}
+
+/**
+ * Build the Exif data of a photo, as a big-endian TIFF structure.
+ * @param {Object} metadata See `writePhotoMetadata`.
+ * @returns {Uint8Array} The Exif data.
+ */
+export function createExif(metadata) {
+  const date = metadata.date;
+  const ifd0 = [
+    {tag: 0x0112, type: SHORT, value: [ORIENTATION_UPRIGHT]},
+    {tag: 0x0131, type: ASCII, value: SOFTWARE},
+    {tag: 0x0132, type: ASCII, value: formatExifDate(date)},
+    // Offset of the Exif directory, set below
+    {tag: 0x8769, type: LONG, value: [0]},
+  ];
+  if (metadata.description) {
+    ifd0.push({tag: 0x010e, type: ASCII, value: metadata.description});
+  }
+  if (metadata.author) {
+    ifd0.push({tag: 0x013b, type: ASCII, value: metadata.author});
+  }
+  const exifIfd = [
+    // Exif version 2.32
+    {tag: 0x9000, type: UNDEFINED, value: encoder.encode('0232')},
+    {tag: 0x9003, type: ASCII, value: formatExifDate(date)},
+    {tag: 0x9011, type: ASCII, value: formatTimeOffset(date)},
+  ];
+  let gpsIfd = null;
+  if (metadata.location) {
+    const {latitude, longitude} = metadata.location;
+    // Offset of the GPS directory, set below
+    ifd0.push({tag: 0x8825, type: LONG, value: [0]});
+    gpsIfd = [
+      // GPS version 2.3
+      {tag: 0x0000, type: BYTE, value: [2, 3, 0, 0]},
+      {tag: 0x0001, type: ASCII, value: latitude < 0 ? 'S' : 'N'},
+      {tag: 0x0002, type: RATIONAL,
+        value: toDegreesMinutesSeconds(Math.abs(latitude))},
+      {tag: 0x0003, type: ASCII, value: longitude < 0 ? 'W' : 'E'},
+      {tag: 0x0004, type: RATIONAL,
+        value: toDegreesMinutesSeconds(Math.abs(longitude))},
+    ];
+  }
+
+  const exifOffset = 8 + getIfdSize(ifd0);
+  const gpsOffset = exifOffset + getIfdSize(exifIfd);
+  ifd0.find((entry) => entry.tag === 0x8769).value = [exifOffset];
+  if (gpsIfd != null) {
+    ifd0.find((entry) => entry.tag === 0x8825).value = [gpsOffset];
+  }
+
+  const size = gpsOffset + (gpsIfd != null ? getIfdSize(gpsIfd) : 0);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  // 'MM', big-endian TIFF, first directory at offset 8
+  view.setUint16(0, 0x4d4d);
+  view.setUint16(2, 42);
+  view.setUint32(4, 8);
+  writeIfd(view, 8, ifd0);
+  writeIfd(view, exifOffset, exifIfd);
+  if (gpsIfd != null) {
+    writeIfd(view, gpsOffset, gpsIfd);
+  }
+  return bytes;
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xmpAlt(text) {
+  return `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}` +
+      '</rdf:li></rdf:Alt>';
+}
+
+/**
+ * Build the XMP packet of a photo. The description is written both as the
+ * Dublin Core description and as the IPTC alt text for accessibility.
+ * @param {Object} metadata See `writePhotoMetadata`.
+ * @returns {string} The XMP packet.
+ */
+export function createXmp(metadata) {
+  const properties = [];
+  if (metadata.description) {
+    properties.push(
+        `<dc:description>${xmpAlt(metadata.description)}</dc:description>`,
+        '<Iptc4xmpCore:AltTextAccessibility>' +
+            `${xmpAlt(metadata.description)}` +
+            '</Iptc4xmpCore:AltTextAccessibility>');
+  }
+  if (metadata.author) {
+    properties.push(`<dc:creator><rdf:Seq><rdf:li>${
+      escapeXml(metadata.author)}</rdf:li></rdf:Seq></dc:creator>`);
+  }
+  return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+      '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      '<rdf:Description rdf:about=""' +
+      ' xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+      ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"' +
+      ' xmlns:tiff="http://ns.adobe.com/tiff/1.0/"' +
+      ' xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/"' +
+      ` xmp:CreateDate="${formatXmpDate(metadata.date)}"` +
+      ` xmp:CreatorTool="${SOFTWARE}"` +
+      ` tiff:Orientation="${ORIENTATION_UPRIGHT}">` +
+      properties.join('') +
+      '</rdf:Description></rdf:RDF></x:xmpmeta>' +
+      '<?xpacket end="w"?>';
+}
+
+function createJpegSegment(marker, header, data) {
+  const segment = new Uint8Array(4 + header.length + data.length);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, marker);
+  view.setUint16(2, 2 + header.length + data.length);
+  segment.set(header, 4);
+  segment.set(data, 4 + header.length);
+  return segment;
+}
+
+// Add Exif and XMP segments after the JFIF header, or after the start of
+// image marker if there is none
+function writeJpegMetadata(bytes, metadata) {
+  const exif = createJpegSegment(
+      0xffe1, encoder.encode('Exif\0\0'), createExif(metadata));
+  const xmp = createJpegSegment(0xffe1,
+      encoder.encode('http://ns.adobe.com/xap/1.0/\0'),
+      encoder.encode(createXmp(metadata)));
+  let offset = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+    offset = 4 + ((bytes[4] << 8) | bytes[5]);
+  }
+  return concatBytes(
+      [bytes.subarray(0, offset), exif, xmp, bytes.subarray(offset)]);
+}
+
+// An international text chunk, uncompressed and without language
+function createPngTextChunk(keyword, text) {
+  return createPngChunk('iTXt', concatBytes([
+    encoder.encode(keyword), new Uint8Array(5), encoder.encode(text),
+  ]));
+}
+
+// Add eXIf and text chunks after the IHDR chunk, which always comes first
+function writePngMetadata(bytes, metadata) {
+  const chunks = [
+    createPngChunk('eXIf', createExif(metadata)),
+    createPngTextChunk('Software', SOFTWARE),
+    createPngTextChunk('Creation Time', metadata.date.toUTCString()),
+    createPngTextChunk('XML:com.adobe.xmp', createXmp(metadata)),
+  ];
+  if (metadata.description) {
+    chunks.push(createPngTextChunk('Description', metadata.description));
+  }
+  if (metadata.author) {
+    chunks.push(createPngTextChunk('Author', metadata.author));
+  }
+  const ihdrEnd = 8 + 25;
+  return concatBytes([bytes.subarray(0, ihdrEnd)].concat(
+      chunks, [bytes.subarray(ihdrEnd)]));
+}
+
+/**
+ * Write metadata into a JPEG or PNG file: capture time, orientation, software
+ * name and, when given, the description as alt text, the author and the
+ * location. Other formats are returned unchanged.
+ * @param {string} url The image as a data URL.
+ * @param {string} mimeType The MIME type of the image.
+ * @param {Object} metadata `date` of capture, and optionally `description`,
+ *     `author`, and `location` with `latitude` and `longitude`.
+ * @returns {string} The image as a data URL.
+ */
+export function writePhotoMetadata(url, mimeType, metadata) {
+  if (mimeType === 'image/jpeg') {
+    return bytesToDataUrl(
+        writeJpegMetadata(dataUrlToBytes(url), metadata), mimeType);
+  }
+  if (mimeType === 'image/png') {
+    return bytesToDataUrl(
+        writePngMetadata(dataUrlToBytes(url), metadata), mimeType);
+  }
+  return url;
+}
+
+/**
+ * Get the current position of the device.
+ * @param {number} timeout Milliseconds to wait for the position.
+ * @returns {Promise<Object>} `latitude` and `longitude`, or null if the
+ *     position is not available or not allowed.
+ */
+export function getCurrentLocation(timeout = 5000) {
+  if (!navigator.geolocation) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+        }),
+        () => resolve(null), {timeout, maximumAge: 60000});
+  });
+}
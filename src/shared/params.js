@@ -23,18 +23,411 @@ export const RED = '#FF2C35';
 export const BLUE = '#157AB3';
 
 export const VIDEO_SIZE = {
+  '1920 X 1080': {width: 1920, height: 1080},
+  '1280 X 720': {width: 1280, height: 720},
   '640 X 480': {width: 640, height: 480},
   '640 X 360': {width: 640, height: 360},
   '360 X 270': {width: 360, height: 270}
 };
+export const HEAD_POSE_CONFIG = {
+  maxYaw: 15,
+  maxPitch: 15,
+  maxRoll: 10,
+};
+/**
+ * Stabilization of the detector output.
+ *
+ * - `minScore`: detections with a lower confidence are ignored.
+ * - `smoothing`: weight of the previous frame when smoothing the box and
+ * keypoints, from 0 (no smoothing) to just below 1.
+ * - `exitSlack`: factor by which the centering thresholds are widened before a
+ * centered face is reported as not centered any more.
+ * - `dwellTime`: milliseconds a face has to stay centered before it is
+ * reported as centered.
+ */
+export const STABILIZER_CONFIG = {
+  minScore: 0.6,
+  smoothing: 0.6,
+  exitSlack: 1.5,
+  dwellTime: 500,
+};
+/**
+ * Hands-free capture once the face stays centered.
+ *
+ * - `holdTime`: milliseconds the face has to be centered before the countdown
+ * starts.
+ * - `countdownFrom`: number of countdown steps, one per second.
+ * - `feedback`: 'speech' to count down aloud, 'beep' to beep instead.
+ */
+export const AUTO_CAPTURE_CONFIG = {
+  enabled: false,
+  holdTime: 1000,
+  countdownFrom: 3,
+  feedback: 'speech',
+};
+/**
+ * Group selfie mode.
+ *
+ * - `margin`: space to keep between every face and the edge of the frame, as a
+ * fraction of the frame.
+ * - `minFaceHeight`: average face height, as a fraction of the frame height,
+ * below which the group is asked to move closer.
+ * - `maxFaces`: number of faces the detector looks for. More than one is
+ * needed in group mode, to hide the faces of bystanders, and to warn a single
+ * person that someone else is in the picture.
+ */
+export const GROUP_CONFIG = {
+  margin: 0.05,
+  minFaceHeight: 0.12,
+  maxFaces: 10,
+};
+/**
+ * Sharpness and motion checks.
+ *
+ * - `minSharpness`: Laplacian variance of the face region below which the
+ * image is considered blurry.
+ * - `maxMotion`: mean frame-to-frame difference, from 0 to 1, above which the
+ * camera is considered to be shaking.
+ * - `onBlurryCapture`: 'block' to refuse saving a blurry photo, 'warn' to save
+ * it with a warning.
+ */
+export const SHARPNESS_CONFIG = {
+  enabled: true,
+  minSharpness: 40,
+  maxMotion: 0.04,
+  onBlurryCapture: 'block',
+};
+/**
+ * Lighting checks. Brightness values are luma from 0 to 255.
+ *
+ * - `minBrightness`, `maxBrightness`: allowed range of the face brightness.
+ * - `maxBacklight`: how much brighter than the face the background may be.
+ * - `maxSideBalance`: allowed brightness difference between the two sides of
+ * the face, relative to the face brightness.
+ */
+export const LIGHTING_CONFIG = {
+  enabled: true,
+  minBrightness: 70,
+  maxBrightness: 220,
+  maxBacklight: 60,
+  maxSideBalance: 0.3,
+};
+/**
+ * Still photo capture and export.
+ *
+ * - `fullResolution`: take the photo at the full resolution of the camera with
+ * the ImageCapture API where available, instead of from the video frame.
+ * - `format`: one of `PHOTO_FORMATS`.
+ * - `quality`: JPEG and WebP quality, from 0 to 1.
+ * - `mirror`: save front camera photos mirrored, as shown in the preview,
+ * instead of in true orientation.
+ */
+export const PHOTO_CONFIG = {
+  fullResolution: true,
+  format: 'jpeg',
+  quality: 0.92,
+  mirror: true,
+};
+/**
+ * Photo file formats, see `PHOTO_TYPES` in `photo_capture.js`.
+ */
+export const PHOTO_FORMATS = ['jpeg', 'webp', 'png'];
+/**
+ * Crops of the saved photo, placed around the face.
+ *
+ * - `faceHeight`: height of the face box relative to the height of the crop.
+ * - `faceCenterY`: height of the center of the face box in the crop, from 0 at
+ * the top to 1 at the bottom.
+ * - `framingProfile`: one of `FRAMING_PROFILES` to take `faceHeight` and
+ * `faceCenterY` from instead, so that the crop follows the same rules as the
+ * guidance.
+ * - `sizes`: output sizes as [width, height] in pixels, or `widthMm`,
+ * `heightMm` and `dpi` for a print of a physical size.
+ */
+export const CROP_PRESETS = {
+  passport: {
+    widthMm: 35,
+    heightMm: 45,
+    dpi: 300,
+    framingProfile: 'passport',
+  },
+  avatar: {
+    sizes: [[512, 512], [256, 256], [128, 128]],
+    faceHeight: 0.5,
+    faceCenterY: 0.48,
+  },
+  portrait: {
+    sizes: [[1080, 1350]],
+    faceHeight: 0.35,
+    faceCenterY: 0.4,
+  },
+};
+/**
+ * Files saved for each photo.
+ *
+ * - `original`: the photo as taken.
+ * - `passport`, `avatar`, `portrait`: the crops of `CROP_PRESETS`.
+ * - `zip`: save several files as a single zip archive instead of one by one.
+ */
+export const EXPORT_CONFIG = {
+  original: true,
+  passport: false,
+  avatar: false,
+  portrait: false,
+  zip: true,
+};
+/**
+ * Metadata written into saved JPEG and PNG files. Capture time, orientation
+ * and software name are always written when metadata is on.
+ *
+ * - `description`: a description of the photo, also written as alt text and
+ * used as the share text.
+ * - `location`: the GPS position where the photo was taken. Off by default as
+ * it identifies where the person is.
+ * - `author`: the name of the author. Empty by default, so that no name is
+ * written.
+ */
+export const METADATA_CONFIG = {
+  enabled: true,
+  description: true,
+  location: false,
+  author: '',
+};
+/**
+ * Review of the photo after it is taken, before it is saved.
+ *
+ * - `enabled`: read out a report of the photo and ask whether to keep it or
+ * retake it. Off to save the photo right away.
+ * - `brightnessMargin`: how close to the lighting limits the face brightness
+ * is reported as slightly dark or slightly bright.
+ */
+export const REVIEW_CONFIG = {
+  enabled: true,
+  brightnessMargin: 25,
+};
+/**
+ * Enhancement of the captured photo, see `enhance.js`. The photo as taken is
+ * kept too, and the user picks which version to save when the photo is
+ * reviewed. Without the review the enhanced version is saved.
+ *
+ * - `exposure`: auto levels, and a gamma that brings the face to
+ * `targetBrightness`, a luma from 0 to 255.
+ * - `whiteBalance`: gray-world white balance.
+ * - `denoise`: mild edge-preserving denoise.
+ */
+export const ENHANCE_CONFIG = {
+  enabled: false,
+  exposure: true,
+  targetBrightness: 130,
+  whiteBalance: true,
+  denoise: true,
+};
+/**
+ * Hiding the faces of bystanders in the saved photo. Every face but the
+ * primary one is hidden, except in group mode where all faces are wanted.
+ *
+ * - `style`: one of `ANONYMIZE_STYLES`.
+ * - `padding`: how far around the face box is hidden, relative to the size of
+ * the box, to cover the hair and ears.
+ */
+export const ANONYMIZE_CONFIG = {
+  enabled: false,
+  style: 'pixelate',
+  padding: 0.3,
+};
+/**
+ * How faces are hidden, see `anonymize.js`.
+ */
+export const ANONYMIZE_STYLES = ['pixelate', 'blur'];
+/**
+ * Photo history kept on the device, see `photo_history.js`.
+ *
+ * - `enabled`: add each saved photo to the history.
+ * - `maxPhotos`: the oldest photos are deleted beyond this number.
+ * - `keepAcrossVisits`: keep the photos after the browser tab is closed.
+ * Otherwise the history only lasts for the session.
+ */
+export const HISTORY_CONFIG = {
+  enabled: true,
+  maxPhotos: 20,
+  keepAcrossVisits: false,
+};
+/**
+ * Burst capture: keep the frames around the capture trigger and save the one
+ * that scores best on centering, face size, sharpness and detection
+ * confidence.
+ *
+ * - `framesBefore`: frames kept from before the trigger.
+ * - `framesAfter`: frames collected after the trigger.
+ */
+export const BURST_CONFIG = {
+  enabled: false,
+  framesBefore: 3,
+  framesAfter: 4,
+};
+/**
+ * Guidance modes: spoken directions, sonification tones, or both.
+ */
+export const GUIDANCE_MODES = ['speech', 'tones', 'both'];
+/**
+ * Sonification tones.
+ *
+ * - `baseFrequency`: pitch in Hz when the face is vertically on target.
+ * - `octaves`: how far the pitch rises or falls at the largest offset.
+ * - `volume`: gain of the tone, from 0 to 1.
+ */
+export const SONIFICATION_CONFIG = {
+  baseFrequency: 440,
+  octaves: 1,
+  volume: 0.15,
+};
+/**
+ * Spoken messages. The voice, rate, pitch and volume are remembered between
+ * visits.
+ *
+ * - `voice`: `voiceURI` of the preferred voice, empty for the default voice of
+ *   the language.
+ * - `guidanceRepeatInterval`: milliseconds before unchanged guidance is
+ *   repeated, 0 to only speak guidance when it changes.
+ */
+export const SPEECH_CONFIG = {
+  voice: '',
+  rate: 1.1,
+  pitch: 1,
+  volume: 1,
+  guidanceRepeatInterval: 5000,
+};
+/**
+ * Where spoken messages go: the built-in voice of the app, the screen reader
+ * through ARIA live regions, or both.
+ */
+export const SPEECH_OUTPUTS = ['voice', 'screenReader', 'both'];
+/**
+ * Live regions for screen readers.
+ *
+ * - `interval`: minimum milliseconds between two guidance announcements.
+ */
+export const LIVE_REGION_CONFIG = {
+  interval: 2000,
+};
+/**
+ * Spoken commands.
+ *
+ * - `mode`: 'continuous' to always listen, 'pushToListen' to listen for one
+ *   command each time the Listen for Command button is pressed.
+ */
+export const VOICE_COMMANDS_CONFIG = {
+  enabled: false,
+  mode: 'continuous',
+};
+/**
+ * Vibration guidance.
+ *
+ * - `interval`: milliseconds before the same pattern is repeated.
+ * - `maxNoFaceRepeats`: how many times in a row the no face pattern is given
+ * before the phone stays still until a face is found again, for example while
+ * the phone is lowered.
+ */
+export const HAPTICS_CONFIG = {
+  enabled: true,
+  interval: 1500,
+  maxNoFaceRepeats: 3,
+};
+/**
+ * Framing profiles define where the face should sit in the frame.
+ *
+ * - `aspectRatio`: width / height of the frame region the face is measured
+ * against, or null for the whole canvas.
+ * - `center`: target center of the face as fractions of the frame region.
+ * - `tolerance`: allowed offset from `center`, as a fraction of the frame.
+ * - `faceHeight`: allowed range of the face box height as a fraction of the
+ * frame height.
+ * - `eyeLine`: optional band, as fractions of the frame height from the top,
+ * the eyes must fall into. Replaces `center.y` for vertical positioning.
+ *
+ * The detector box spans roughly from the brows to the chin, which is about
+ * 80% of the crown-to-chin head height that photo rules refer to.
+ */
+export const FRAMING_PROFILES = {
+  standard: {
+    aspectRatio: null,
+    center: {x: 0.5, y: 0.5},
+    tolerance: 0.15,
+    faceHeight: [0.35, 0.7],
+  },
+  // Head fills 50-69% of a 35 x 45 mm photo, eyes 56-69% from the bottom.
+  passport: {
+    aspectRatio: 35 / 45,
+    center: {x: 0.5, y: 0.45},
+    tolerance: 0.06,
+    faceHeight: [0.4, 0.55],
+    eyeLine: [0.31, 0.44],
+  },
+  idBadge: {
+    aspectRatio: 3 / 4,
+    center: {x: 0.5, y: 0.45},
+    tolerance: 0.08,
+    faceHeight: [0.35, 0.5],
+  },
+  // Tight square crop for avatars.
+  profilePicture: {
+    aspectRatio: 1,
+    center: {x: 0.5, y: 0.5},
+    tolerance: 0.08,
+    faceHeight: [0.45, 0.65],
+  },
+  // Smaller face placed higher to leave room for the shoulders.
+  headshot: {
+    aspectRatio: 4 / 5,
+    center: {x: 0.5, y: 0.38},
+    tolerance: 0.1,
+    faceHeight: [0.22, 0.35],
+  },
+};
 export const STATE = {
-  camera: {targetFPS: 60, sizeOption: '640 X 480'},
+  camera: {
+    targetFPS: 60,
+    sizeOption: '640 X 480',
+    facingMode: 'user',
+    // Empty to pick the camera by `facingMode`.
+    deviceId: '',
+    // Facing of the camera that was opened, which differs from `facingMode`
+    // when a camera is picked from the device list. Empty until a camera is
+    // open.
+    activeFacingMode: '',
+  },
+  headPose: Object.assign({}, HEAD_POSE_CONFIG),
+  framingProfile: 'standard',
+  stabilizer: Object.assign({}, STABILIZER_CONFIG),
+  autoCapture: Object.assign({}, AUTO_CAPTURE_CONFIG),
+  sharpness: Object.assign({}, SHARPNESS_CONFIG),
+  lighting: Object.assign({}, LIGHTING_CONFIG),
+  photo: Object.assign({}, PHOTO_CONFIG),
+  export: Object.assign({}, EXPORT_CONFIG),
+  metadata: Object.assign({}, METADATA_CONFIG),
+  review: Object.assign({}, REVIEW_CONFIG),
+  burst: Object.assign({}, BURST_CONFIG),
+  enhance: Object.assign({}, ENHANCE_CONFIG),
+  anonymize: Object.assign({}, ANONYMIZE_CONFIG),
+  history: Object.assign({}, HISTORY_CONFIG),
+  guidanceMode: 'speech',
+  // Key of `LOCALES` in `i18n.js`.
+  locale: 'en',
+  speech: Object.assign({}, SPEECH_CONFIG),
+  speechOutput: 'voice',
+  liveRegions: Object.assign({}, LIVE_REGION_CONFIG),
+  voiceCommands: Object.assign({}, VOICE_COMMANDS_CONFIG),
+  sonification: Object.assign({}, SONIFICATION_CONFIG),
+  haptics: Object.assign({}, HAPTICS_CONFIG),
+  groupMode: false,
+  group: Object.assign({}, GROUP_CONFIG),
   backend: '',
   flags: {},
   modelConfig: {}
 };
 export const MEDIAPIPE_FACE_CONFIG = {
-  maxFaces: 1,
+  // More than one, to warn when someone else is in the picture
+  maxFaces: GROUP_CONFIG.maxFaces,
   boundingBox: true,
   keypoints: true,
   modelType: 'short'
@@ -0,0 +1,172 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * MIME type and file extension of each of `PHOTO_FORMATS`.
+ */
+export const PHOTO_TYPES = {
+  jpeg: {mimeType: 'image/jpeg', extension: 'jpg'},
+  webp: {mimeType: 'image/webp', extension: 'webp'},
+  png: {mimeType: 'image/png', extension: 'png'},
+};
+
+// How long to wait for the camera to take a full resolution photo before
+// falling back to the video frame
+const TAKE_PHOTO_TIMEOUT = 3000;
+
+function withTimeout(promise, milliseconds) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out')), milliseconds);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Take a photo at the full resolution of the camera with the ImageCapture API,
+ * as close as possible to the aspect ratio of the video.
+ * @param {MediaStreamTrack} track The video track of the camera.
+ * @param {number} aspectRatio Width over height of the video.
+ * @returns {Promise<ImageBitmap>} The photo, or null if the ImageCapture API
+ *     is not available or fails.
+ */
+async function takeFullResolutionPhoto(track, aspectRatio) {
+  if (typeof ImageCapture === 'undefined' || track == null ||
+      track.readyState !== 'live') {
+    return null;
+  }
+  try {
+    const imageCapture = new ImageCapture(track);
+    const settings = {};
+    const capabilities = await imageCapture.getPhotoCapabilities();
+    if (capabilities.imageWidth && capabilities.imageWidth.max &&
+        capabilities.imageHeight && capabilities.imageHeight.max) {
+      const maxWidth = capabilities.imageWidth.max;
+      const maxHeight = capabilities.imageHeight.max;
+      settings.imageWidth = Math.min(maxWidth, maxHeight * aspectRatio);
+      settings.imageHeight = settings.imageWidth / aspectRatio;
+    }
+    const blob = await withTimeout(
+        imageCapture.takePhoto(settings), TAKE_PHOTO_TIMEOUT);
+    return await createImageBitmap(blob);
+  } catch (error) {
+    console.warn('Full resolution capture failed, using the video frame:',
+        error);
+    return null;
+  }
+}
+
+/**
+ * Draw a photo into a canvas, from the camera at full resolution if possible,
+ * otherwise from the current video frame.
+ *
+ * A full resolution photo whose aspect ratio differs from the video is
+ * cropped around its center to the aspect ratio of the video, so that
+ * positions in the video, such as the detected faces, can be scaled to the
+ * photo.
+ * @param camera The `Camera`.
+ * @param {HTMLCanvasElement} canvas The canvas to draw into.
+ * @param config From app `STATE.photo`.
+ * @param {HTMLCanvasElement} frame A video frame kept earlier, for example by
+ *     burst capture, to use instead of the current one. No full resolution
+ *     photo is taken then.
+ * @returns {Promise<{scale: number, mirrored: boolean, fullResolution:
+ *     boolean}>} The size of the photo relative to the video, whether it is
+ *     mirrored, and whether it was taken at full resolution.
+ */
+export async function capturePhotoToCanvas(camera, canvas, config,
+    frame = null) {
+  const video = camera.video;
+  const videoWidth = video.videoWidth;
+  const videoHeight = video.videoHeight;
+  const aspectRatio = videoWidth / videoHeight;
+
+  let source = frame || video;
+  let sourceX = 0;
+  let sourceY = 0;
+  let sourceWidth = videoWidth;
+  let sourceHeight = videoHeight;
+  const [track] = camera.stream ? camera.stream.getVideoTracks() : [];
+  const photo = config.fullResolution && frame == null ?
+      await takeFullResolutionPhoto(track, aspectRatio) :
+      null;
+  // Only use the photo if it has more pixels than the video
+  if (photo != null && photo.width > videoWidth) {
+    source = photo;
+    sourceWidth = Math.min(photo.width, photo.height * aspectRatio);
+    sourceHeight = sourceWidth / aspectRatio;
+    sourceX = (photo.width - sourceWidth) / 2;
+    sourceY = (photo.height - sourceHeight) / 2;
+  }
+
+  canvas.width = Math.round(sourceWidth);
+  canvas.height = Math.round(sourceHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+  // The front camera preview is mirrored, the photo is too unless it is saved
+  // in true orientation
+  const mirrored = camera.mirrored && config.mirror;
+  if (mirrored) {
+    ctx.translate(canvas.width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(source, sourceX, sourceY, sourceWidth, sourceHeight,
+      0, 0, canvas.width, canvas.height);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  if (photo != null) {
+    photo.close();
+  }
+
+  return {
+    scale: canvas.width / videoWidth,
+    mirrored,
+    fullResolution: photo != null && source === photo,
+  };
+}
+
+/**
+ * Encode the photo in a canvas in the configured format.
+ *
+ * Browsers that can't encode WebP produce PNG instead, in which case JPEG is
+ * used so that the quality setting still applies.
+ * @param {HTMLCanvasElement} canvas The photo.
+ * @param config From app `STATE.photo`.
+ * @returns {{url: string, mimeType: string, extension: string}} The photo as a
+ *     data URL, with its MIME type and file extension.
+ */
+export function encodePhoto(canvas, config) {
+  let type = PHOTO_TYPES[config.format] || PHOTO_TYPES.png;
+  let url = canvas.toDataURL(type.mimeType, config.quality);
+  if (!url.startsWith(`data:${type.mimeType}`)) {
+    type = PHOTO_TYPES.jpeg;
+    url = canvas.toDataURL(type.mimeType, config.quality);
+  }
+  return {url, mimeType: type.mimeType, extension: type.extension};
+}
+
+/**
+ * Name of a photo file, from the time it is saved.
+ * @param {string} extension File extension, from `PHOTO_TYPES`.
+ * @param {string} suffix Added to the name, for example the name of a crop.
+ * @param {Date} date The time.
+ * @returns {string} The file name.
+ */
+export function getPhotoFilename(extension, suffix = '', date = new Date()) {
+  const name = `selfie_${date.toISOString().replace(/[:.]/g, '-')}`;
+  return `${name}${suffix ? '_' + suffix : ''}.${extension}`;
+}
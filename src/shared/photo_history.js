@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+const DB_NAME = 'selfie-photo-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'photos';
+// Set for as long as the browser tab is open
+const SESSION_STORAGE_KEY = 'selfie-photo-history-session';
+
+// Turn an IndexedDB request into a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Keeps the saved photos on the device with IndexedDB, so that they can be
+ * compared, saved again or deleted later. Unless `config.keepAcrossVisits`,
+ * the photos of earlier sessions are deleted when a new session starts.
+ *
+ * Each photo is a record with:
+ *
+ * - `id`: assigned when the photo is added.
+ * - `date`: when the photo was taken.
+ * - `description`: the alt text of the photo.
+ * - `faceCount`: the number of faces in the photo.
+ * - `framingScore`: how well the face matched the framing profile, from 0 to
+ *   100, or null without a face.
+ * - `files`: the saved files, each with its data `url`, `mimeType`,
+ *   `extension` and `filename`.
+ */
+export class PhotoHistory {
+  /**
+   * @param config From app `STATE.history`.
+   */
+  constructor(config) {
+    this.config = config;
+    this.db = null;
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * Delete the photos of earlier sessions, unless `config.keepAcrossVisits`.
+   * A session lasts as long as the browser tab, so the photos are kept when
+   * the page is reloaded but not once the tab is closed.
+   * @returns {Promise<void>}
+   */
+  startSession() {
+    let isNewSession = true;
+    try {
+      isNewSession =
+          window.sessionStorage.getItem(SESSION_STORAGE_KEY) == null;
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, 'true');
+    } catch (error) {
+      console.warn('Photo history session not stored:', error);
+    }
+    if (isNewSession && !this.config.keepAcrossVisits) {
+      this.ready = this.clear().catch((error) => {
+        console.warn('Photos of earlier sessions not deleted:', error);
+      });
+    }
+    return this.ready;
+  }
+
+  get isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, once.
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.db == null) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(
+            STORE_NAME, {keyPath: 'id', autoIncrement: true});
+      };
+      this.db = promisify(request).catch((error) => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  // Run `callback` with the store in a transaction. Resolves with the result
+  // of the request returned by `callback`, if any, once the transaction is
+  // complete.
+  async transaction(mode, callback) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return request ? request.result : undefined;
+  }
+
+  /**
+   * Add a photo, then drop the oldest photos beyond `config.maxPhotos`.
+   * @param {Object} record The photo, without `id`.
+   * @returns {Promise<number>} The id of the photo.
+   */
+  async add(record) {
+    await this.ready;
+    const id = await this.transaction('readwrite',
+        (store) => store.add(record));
+    const photos = await this.getAll();
+    const excess = photos.slice(this.config.maxPhotos);
+    if (excess.length > 0) {
+      await this.transaction('readwrite', (store) => {
+        excess.forEach((photo) => store.delete(photo.id));
+      });
+    }
+    return id;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All photos, newest first.
+   */
+  async getAll() {
+    await this.ready;
+    const photos =
+        await this.transaction('readonly', (store) => store.getAll());
+    return photos.sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * @param {number} id The id of the photo.
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.ready;
+    await this.transaction('readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Delete all photos.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.transaction('readwrite', (store) => store.clear());
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {estimateHeadPose} from './head_pose';
+import {t} from './i18n';
+import {analyzeLighting} from './lighting';
+import {FRAMING_PROFILES, STATE} from './params';
+import {measureSharpness} from './sharpness';
+import {getFacePositionHints, getPrimaryFace} from './util';
+
+/**
+ * Analyze a captured photo. Each finding is a key of the `review` messages.
+ *
+ * With several faces, the position, lighting, sharpness and pose are those
+ * of the primary face.
+ * @param {HTMLCanvasElement} canvas The photo.
+ * @param {Array<Object>} faces The faces detected in the photo.
+ * @param config From app `STATE.review`.
+ * @returns {{faceCount: number, position: string, lighting: string,
+ *     sharpness: string, pose: string}} The findings, null where they could
+ *     not be measured.
+ */
+export function reviewPhoto(canvas, faces, config) {
+  const review = {
+    faceCount: faces.length,
+    position: null,
+    lighting: null,
+    sharpness: null,
+    pose: null,
+  };
+  if (faces.length === 0) return review;
+
+  const face = getPrimaryFace(faces, canvas.width, canvas.height);
+  const profile = FRAMING_PROFILES[STATE.framingProfile];
+  const hints =
+      getFacePositionHints(face, canvas.width, canvas.height, profile);
+  if (hints.distance === 'moveCloser') {
+    review.position = 'tooFar';
+  } else if (hints.distance === 'moveFarther') {
+    review.position = 'tooClose';
+  } else if (hints.horizontal || hints.vertical) {
+    review.position = 'offCenter';
+  } else {
+    review.position = 'centered';
+  }
+
+  const {faceBrightness, backgroundBrightness} =
+      analyzeLighting(canvas, face, STATE.lighting);
+  const {minBrightness, maxBrightness, maxBacklight} = STATE.lighting;
+  if (backgroundBrightness - faceBrightness > maxBacklight) {
+    review.lighting = 'backlit';
+  } else if (faceBrightness < minBrightness) {
+    review.lighting = 'tooDark';
+  } else if (faceBrightness < minBrightness + config.brightnessMargin) {
+    review.lighting = 'slightlyDark';
+  } else if (faceBrightness > maxBrightness) {
+    review.lighting = 'tooBright';
+  } else if (faceBrightness > maxBrightness - config.brightnessMargin) {
+    review.lighting = 'slightlyBright';
+  } else {
+    review.lighting = 'wellLit';
+  }
+
+  const sharpness = measureSharpness(canvas, face.box);
+  review.sharpness =
+      sharpness < STATE.sharpness.minSharpness ? 'blurry' : 'sharp';
+
+  const pose = estimateHeadPose(face);
+  if (pose != null) {
+    const {maxYaw, maxPitch, maxRoll} = STATE.headPose;
+    if (Math.abs(pose.roll) > maxRoll) {
+      review.pose = 'headTilted';
+    } else if (Math.abs(pose.yaw) > maxYaw ||
+        Math.abs(pose.pitch) > maxPitch) {
+      review.pose = 'headTurned';
+    } else {
+      review.pose = 'eyesLevel';
+    }
+  }
+  return review;
+}
+
+/**
+ * Put the findings of a review into a short sentence, for example "Photo
+ * taken: one face, centered, slightly dark, eyes level."
+ * @param review From `reviewPhoto`.
+ * @returns {string} The report.
+ */
+export function describeReview(review) {
+  const parts = [
+    review.faceCount > 0 ?
+        t('review.faces', {count: review.faceCount}) :
+        t('review.noFace'),
+  ];
+  [review.position, review.lighting, review.sharpness, review.pose].forEach(
+      (finding) => {
+        if (finding != null) {
+          parts.push(t(`review.${finding}`));
+        }
+      });
+  return t('review.report', {report: parts.join(', ')});
+}
@@ -0,0 +1,46 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {t} from './i18n';
+import {STATE} from './params';
+
+/**
+ * Whether guidance is given to a helper holding the phone with the rear
+ * camera, rather than to the person in the photo. This follows the camera
+ * that is open, which may not be the requested one.
+ * @returns {boolean}
+ */
+export function isPhotographerMode() {
+  const facingMode =
+      STATE.camera.activeFacingMode || STATE.camera.facingMode;
+  return facingMode === 'environment';
+}
+
+/**
+ * Get a guidance phrase for the current perspective, in the active locale.
+ * The `subject` messages guide the person in the photo with the front camera;
+ * the `photographer` messages guide a helper holding the phone with the rear
+ * camera instead.
+ *
+ * Directions follow the offsets measured in the video: `moveRight` is used
+ * when the face is left of the target in the unmirrored video.
+ * @param {string} key The phrase key.
+ * @param {Object} values Values for the placeholders of the phrase.
+ * @returns {string} The phrase.
+ */
+export function getPhrase(key, values) {
+  return t((isPhotographerMode() ? 'photographer.' : 'subject.') + key, values);
+}
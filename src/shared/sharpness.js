@@ -0,0 +1,162 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/** Width the face region is resampled to before measuring sharpness. */
+const FACE_SAMPLE_WIDTH = 128;
+/** Size the whole frame is resampled to before estimating motion. */
+const MOTION_SAMPLE_WIDTH = 64;
+const MOTION_SAMPLE_HEIGHT = 48;
+
+let sampleCanvas;
+
+function getSampleContext(width, height) {
+  if (sampleCanvas == null) {
+    sampleCanvas = document.createElement('canvas');
+  }
+  sampleCanvas.width = width;
+  sampleCanvas.height = height;
+  return sampleCanvas.getContext('2d');
+}
+
+/**
+ * Convert RGBA pixel data to luma values.
+ * @param {ImageData} imageData
+ * @returns {Float32Array}
+ */
+export function toGrayscale(imageData) {
+  const {data, width, height} = imageData;
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] =
+        0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Variance of the Laplacian of a grayscale image. Sharp images have strong
+ * edges and therefore a high variance; blurry images have a low one.
+ * @param {Float32Array} gray Luma values.
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+export function laplacianVariance(gray, width, height) {
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] +
+          gray[i + 1] - 4 * gray[i];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  if (count === 0) {
+    return 0;
+  }
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+}
+
+/**
+ * Measure the sharpness of the face region of an image.
+ * @param source A video, image or canvas in the coordinate space of `box`.
+ * @param box The face box from the detector.
+ * @returns {number} The Laplacian variance of the face region.
+ */
+export function measureSharpness(source, box) {
+  const boxWidth = box.xMax - box.xMin;
+  const boxHeight = box.yMax - box.yMin;
+  if (boxWidth <= 0 || boxHeight <= 0) {
+    return 0;
+  }
+  // Resample to a fixed width so that the score does not depend on how close
+  // the face is to the camera.
+  const width = FACE_SAMPLE_WIDTH;
+  const height = Math.max(3, Math.round(width * boxHeight / boxWidth));
+  const ctx = getSampleContext(width, height);
+  ctx.drawImage(
+      source, box.xMin, box.yMin, boxWidth, boxHeight, 0, 0, width, height);
+  const gray = toGrayscale(ctx.getImageData(0, 0, width, height));
+  return laplacianVariance(gray, width, height);
+}
+
+/**
+ * Tracks sharpness of the face and motion of the whole frame over time.
+ */
+export class SharpnessMonitor {
+  /**
+   * @param config From app `STATE.sharpness`.
+   */
+  constructor(config) {
+    this.config = config;
+    this.previousFrame = null;
+    this.sharpness = 0;
+    this.motion = 0;
+  }
+
+  /**
+   * Measure the current frame.
+   * @param source The video element.
+   * @param face The face to measure, or null if no face is detected.
+   * @returns {{sharpness: number, motion: number, blurry: boolean}}
+   */
+  update(source, face) {
+    const ctx = getSampleContext(MOTION_SAMPLE_WIDTH, MOTION_SAMPLE_HEIGHT);
+    ctx.drawImage(source, 0, 0, MOTION_SAMPLE_WIDTH, MOTION_SAMPLE_HEIGHT);
+    const frame = toGrayscale(
+        ctx.getImageData(0, 0, MOTION_SAMPLE_WIDTH, MOTION_SAMPLE_HEIGHT));
+
+    // Motion is the mean absolute difference to the previous frame, from 0
+    // (still) to 1.
+    if (this.previousFrame != null) {
+      let difference = 0;
+      for (let i = 0; i < frame.length; i++) {
+        difference += Math.abs(frame[i] - this.previousFrame[i]);
+      }
+      this.motion = difference / frame.length / 255;
+    }
+    this.previousFrame = frame;
+
+    this.sharpness = face != null ? measureSharpness(source, face.box) : 0;
+
+    return {
+      sharpness: this.sharpness,
+      motion: this.motion,
+      blurry: face != null && this.isBlurry(this.sharpness, this.motion),
+    };
+  }
+
+  /**
+   * @param {number} sharpness
+   * @param {number} motion
+   * @returns {boolean} Whether the frame is too blurry or shaky for a photo.
+   */
+  isBlurry(sharpness, motion = 0) {
+    return sharpness < this.config.minSharpness ||
+        motion > this.config.maxMotion;
+  }
+
+  reset() {
+    this.previousFrame = null;
+    this.motion = 0;
+  }
+}
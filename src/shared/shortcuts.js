@@ -0,0 +1,178 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+/**
+ * Keys for each action, by `KeyboardEvent.key`.
+ *
+ * - Space or Enter: take the photo.
+ * - R: repeat the guidance.
+ * - D: describe the position.
+ * - Esc: start over once a photo was taken.
+ *
+ * Bluetooth selfie remotes present themselves as keyboards and send either
+ * Enter or a volume key, so volume and camera keys also take the photo. Not
+ * every browser passes volume keys to the page.
+ */
+export const SHORTCUT_KEYS = {
+  capture: [
+    ' ', 'Enter', 'AudioVolumeUp', 'AudioVolumeDown', 'VolumeUp', 'VolumeDown',
+    'Camera',
+  ],
+  repeat: ['r', 'R'],
+  describe: ['d', 'D'],
+  startOver: ['Escape', 'Esc'],
+};
+
+/** Maximum milliseconds between the two taps of a double tap. */
+const DOUBLE_TAP_MILLISECONDS = 300;
+/** Maximum milliseconds a two-finger tap is held. */
+const TWO_FINGER_TAP_MILLISECONDS = 400;
+/** Maximum distance in pixels a finger can move during a tap. */
+const TAP_SLOP = 30;
+
+/**
+ * Elements whose own keyboard behavior must not be taken over.
+ */
+const INTERACTIVE_SELECTOR =
+    'button, a[href], input, select, textarea, [contenteditable], .dg';
+
+function findAction(key) {
+  return Object.keys(SHORTCUT_KEYS).find(
+      (action) => SHORTCUT_KEYS[action].indexOf(key) > -1);
+}
+
+/**
+ * Runs actions from keyboard shortcuts and from touch gestures on the camera
+ * preview: a double tap or a two-finger tap anywhere on it takes the photo.
+ */
+export class InputShortcuts {
+  /**
+   * @param {Object} actions A function for each key of `SHORTCUT_KEYS`.
+   */
+  constructor(actions) {
+    this.actions = actions;
+    this.surface = null;
+    this.lastTap = null;
+    this.twoFingerStart = null;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+  }
+
+  /**
+   * Start listening for keys on the page and gestures on the surface.
+   * @param {Element} surface The element that takes gestures, usually the
+   *     canvas with the camera preview.
+   */
+  attach(surface) {
+    this.detach();
+    this.surface = surface;
+    document.addEventListener('keydown', this.handleKeyDown);
+    if (surface != null) {
+      // Taps are not delayed by, or turned into, zooming
+      surface.style.touchAction = 'manipulation';
+      surface.addEventListener('touchstart', this.handleTouchStart);
+      surface.addEventListener('touchend', this.handleTouchEnd);
+      surface.addEventListener('dblclick', this.handleDoubleClick);
+    }
+  }
+
+  detach() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+    if (this.surface != null) {
+      this.surface.removeEventListener('touchstart', this.handleTouchStart);
+      this.surface.removeEventListener('touchend', this.handleTouchEnd);
+      this.surface.removeEventListener('dblclick', this.handleDoubleClick);
+      this.surface = null;
+    }
+  }
+
+  run(action, event) {
+    if (action == null) return;
+    event.preventDefault();
+    this.actions[action]();
+  }
+
+  handleKeyDown(event) {
+    if (event.repeat || event.ctrlKey || event.altKey || event.metaKey) return;
+
+    const action = findAction(event.key);
+    // Space and Enter keep activating the focused control
+    if ((event.key === ' ' || event.key === 'Enter') &&
+        event.target.closest && event.target.closest(INTERACTIVE_SELECTOR)) {
+      return;
+    }
+    // Letters are left to text fields
+    if (event.target.closest &&
+        event.target.closest('input, select, textarea, [contenteditable]')) {
+      return;
+    }
+    this.run(action, event);
+  }
+
+  handleTouchStart(event) {
+    if (event.touches.length === 2) {
+      this.twoFingerStart = {
+        time: event.timeStamp,
+        touches: Array.from(event.touches).map(
+            (touch) => ({x: touch.clientX, y: touch.clientY})),
+      };
+      this.lastTap = null;
+    } else if (event.touches.length > 2) {
+      this.twoFingerStart = null;
+    }
+  }
+
+  handleTouchEnd(event) {
+    // Two-finger tap, once both fingers are lifted
+    if (this.twoFingerStart != null) {
+      if (event.touches.length > 0) return;
+      const start = this.twoFingerStart;
+      this.twoFingerStart = null;
+      const moved = Array.from(event.changedTouches).some((touch) =>
+        start.touches.every((startTouch) => Math.hypot(
+            touch.clientX - startTouch.x, touch.clientY - startTouch.y) >
+            TAP_SLOP));
+      if (!moved &&
+          event.timeStamp - start.time <= TWO_FINGER_TAP_MILLISECONDS) {
+        this.run('capture', event);
+      }
+      return;
+    }
+
+    if (event.changedTouches.length !== 1 || event.touches.length > 0) return;
+    const touch = event.changedTouches[0];
+    const tap = {time: event.timeStamp, x: touch.clientX, y: touch.clientY};
+    const last = this.lastTap;
+    if (last != null && tap.time - last.time <= DOUBLE_TAP_MILLISECONDS &&
+        Math.hypot(tap.x - last.x, tap.y - last.y) <= TAP_SLOP) {
+      this.lastTap = null;
+      this.run('capture', event);
+    } else {
+      this.lastTap = tap;
+    }
+  }
+
+  handleDoubleClick(event) {
+    // Touch double taps are already handled from the touch events
+    if (event.sourceCapabilities && event.sourceCapabilities.firesTouchEvents) {
+      return;
+    }
+    this.run('capture', event);
+  }
+}
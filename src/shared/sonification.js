@@ -0,0 +1,167 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {isPhotographerMode} from './phrases';
+
+/** Pulse period when the face is furthest from and closest to the target. */
+const SLOWEST_PULSE_SECONDS = 0.6;
+const FASTEST_PULSE_SECONDS = 0.1;
+/** Offset, as a fraction of the frame, at which the pan and pitch saturate. */
+const MAX_OFFSET = 0.5;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Conveys the face position with a continuous tone instead of speech.
+ *
+ * The tone comes from the side the user should move to (the phone, in helper
+ * mode), is higher when they should move up and lower when they should move
+ * down, and pulses faster the closer the face is to the target. A distinct
+ * chime plays once the face is centered.
+ */
+export class Sonifier {
+  /**
+   * @param config From app `STATE.sonification`.
+   */
+  constructor(config) {
+    this.config = config;
+    this.audioContext = null;
+    this.oscillator = null;
+    this.panner = null;
+    this.gainNode = null;
+    this.nextPulseTime = 0;
+    this.locked = false;
+  }
+
+  /**
+   * Create the audio graph on first use. The oscillator runs continuously and
+   * the gain is pulsed.
+   */
+  setup() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return false; // Browser doesn't support Web Audio API
+
+    if (this.audioContext == null) {
+      this.audioContext = new AudioContext();
+      this.oscillator = this.audioContext.createOscillator();
+      this.gainNode = this.audioContext.createGain();
+      this.oscillator.type = 'sine';
+      this.gainNode.gain.value = 0;
+
+      // Older Safari has no StereoPannerNode, the tone is then not panned.
+      if (this.audioContext.createStereoPanner) {
+        this.panner = this.audioContext.createStereoPanner();
+        this.oscillator.connect(this.panner);
+        this.panner.connect(this.gainNode);
+      } else {
+        this.oscillator.connect(this.gainNode);
+      }
+      this.gainNode.connect(this.audioContext.destination);
+      this.oscillator.start();
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+    return true;
+  }
+
+  /**
+   * Update the tone for the current frame.
+   * @param {boolean} centered Whether the face is reported as centered.
+   * @param hints Position hints from `drawResults`, or null without a face.
+   */
+  update(centered, hints) {
+    if (hints == null) {
+      this.silence();
+      this.locked = false;
+      return;
+    }
+    if (!this.setup()) return;
+
+    if (centered) {
+      this.silence();
+      if (!this.locked) {
+        this.playLockedSound();
+      }
+      this.locked = true;
+      return;
+    }
+    this.locked = false;
+
+    const now = this.audioContext.currentTime;
+
+    // Offsets point from the target to the face in the unmirrored video. The
+    // person in the photo moves against the offset, the phone moves with it.
+    const direction = isPhotographerMode() ? 1 : -1;
+    const panX = clamp(direction * hints.offsetX / MAX_OFFSET, -1, 1);
+    const pitchY = clamp(-direction * hints.offsetY / MAX_OFFSET, -1, 1);
+    if (this.panner != null) {
+      this.panner.pan.setTargetAtTime(panX, now, 0.05);
+    }
+    const frequency =
+        this.config.baseFrequency * Math.pow(2, pitchY * this.config.octaves);
+    this.oscillator.frequency.setTargetAtTime(frequency, now, 0.05);
+
+    // Pulse faster as the face gets closer to the target.
+    const error = Math.min(1, Math.hypot(
+        hints.offsetX, hints.offsetY, hints.sizeError) / MAX_OFFSET);
+    const period = FASTEST_PULSE_SECONDS +
+        error * (SLOWEST_PULSE_SECONDS - FASTEST_PULSE_SECONDS);
+    if (now >= this.nextPulseTime) {
+      const length = period / 2;
+      const gain = this.gainNode.gain;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(0, now);
+      gain.linearRampToValueAtTime(this.config.volume, now + 0.01);
+      gain.setValueAtTime(this.config.volume, now + length - 0.01);
+      gain.linearRampToValueAtTime(0, now + length);
+      this.nextPulseTime = now + period;
+    }
+  }
+
+  /**
+   * Play a rising two-note chime, distinct from the guidance tone.
+   */
+  playLockedSound() {
+    const now = this.audioContext.currentTime;
+    [880, 1320].forEach((frequency, i) => {
+      const oscillator = this.audioContext.createOscillator();
+      const gainNode = this.audioContext.createGain();
+      const start = now + i * 0.12;
+      oscillator.type = 'triangle';
+      oscillator.frequency.setValueAtTime(frequency, start);
+      gainNode.gain.setValueAtTime(this.config.volume * 1.5, start);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+      oscillator.connect(gainNode);
+      gainNode.connect(this.audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.25);
+    });
+  }
+
+  /**
+   * Stop the guidance tone until the next update.
+   */
+  silence() {
+    if (this.gainNode == null) return;
+    const now = this.audioContext.currentTime;
+    this.gainNode.gain.cancelScheduledValues(now);
+    this.gainNode.gain.setTargetAtTime(0, now, 0.02);
+    this.nextPulseTime = 0;
+  }
+}
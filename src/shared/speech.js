@@ -0,0 +1,266 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getSpeechLang, localizeUtterance} from './i18n';
+import {LiveRegionAnnouncer} from './live_regions';
+import {STATE} from './params';
+
+/**
+ * Priority levels of spoken messages, from lowest to highest.
+ *
+ * - `guidance`: per-frame directions. Only spoken when they change, never
+ *   interrupt anything, and only the latest one waits in the queue.
+ * - `status`: announcements such as settings changes. They cut off guidance
+ *   and drop pending guidance, but wait for other messages.
+ * - `urgent`: results of user actions such as "photo captured". They cut off
+ *   lower priority speech and clear the queue.
+ */
+export const SPEECH_PRIORITIES = ['guidance', 'status', 'urgent'];
+
+const SETTINGS_STORAGE_KEY = 'speechSettings';
+const PERSISTED_SETTINGS = ['voice', 'rate', 'pitch', 'volume'];
+
+function rankOf(priority) {
+  return SPEECH_PRIORITIES.indexOf(priority);
+}
+
+/**
+ * Restore the voice settings the user picked in an earlier visit into
+ * `STATE.speech`.
+ */
+export function loadSpeechSettings() {
+  try {
+    const saved =
+        JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+    PERSISTED_SETTINGS.filter((key) => key in saved).forEach((key) => {
+      STATE.speech[key] = saved[key];
+    });
+  } catch (error) {
+    console.warn('Speech settings not loaded:', error);
+  }
+}
+
+/**
+ * Remember the voice settings of `STATE.speech` for the next visit.
+ */
+export function saveSpeechSettings() {
+  const settings = {};
+  PERSISTED_SETTINGS.forEach((key) => {
+    settings[key] = STATE.speech[key];
+  });
+  try {
+    window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Speech settings not saved:', error);
+  }
+}
+
+/**
+ * Speaks one message at a time and decides, by priority, which messages cut
+ * off the current one, which wait and which are dropped. Depending on
+ * `STATE.speechOutput`, messages are also, or only, handed to the screen
+ * reader.
+ */
+export class SpeechScheduler {
+  /**
+   * @param config From app `STATE.speech`.
+   * @param liveRegions A `LiveRegionAnnouncer` for the screen reader output.
+   */
+  constructor(config, liveRegions) {
+    this.config = config;
+    this.liveRegions = liveRegions;
+    this.queue = [];
+    this.current = null;
+    this.lastGuidance = '';
+    this.lastGuidanceTime = 0;
+  }
+
+  get isSupported() {
+    return 'speechSynthesis' in window;
+  }
+
+  get isSpeaking() {
+    return this.current != null;
+  }
+
+  /** The message being spoken, or an empty string. */
+  get currentMessage() {
+    return this.current != null ? this.current.message : '';
+  }
+
+  get usesVoice() {
+    return STATE.speechOutput !== 'screenReader';
+  }
+
+  get usesScreenReader() {
+    return STATE.speechOutput !== 'voice';
+  }
+
+  /**
+   * Schedule a message.
+   * @param {string} message The message to speak.
+   * @param {string} priority One of `SPEECH_PRIORITIES`.
+   * @param {number} now Timestamp in milliseconds.
+   * @returns {boolean} False if the message could not be output, so that the
+   *     caller can fall back to another output.
+   */
+  speak(message, priority = 'status', now = Date.now()) {
+    const canSpeak = this.usesVoice && this.isSupported;
+    if (!canSpeak && !this.usesScreenReader) return false;
+    if (!message) return true;
+
+    if (priority === 'guidance') {
+      // Unchanged guidance is only repeated as a reminder
+      const repeatAfter = this.config.guidanceRepeatInterval;
+      if (message === this.lastGuidance &&
+          (repeatAfter <= 0 || now - this.lastGuidanceTime < repeatAfter)) {
+        return true;
+      }
+      this.lastGuidance = message;
+      this.lastGuidanceTime = now;
+    }
+
+    if (this.usesScreenReader) {
+      this.liveRegions.announce(message, priority, now);
+    }
+    if (!canSpeak) return true;
+
+    const item = {message, priority};
+    const rank = rankOf(priority);
+    if (priority === 'urgent') {
+      this.queue = this.queue.filter((queued) => queued.priority === 'urgent');
+    } else {
+      // Guidance that is waiting is outdated by any newer message
+      this.queue =
+          this.queue.filter((queued) => queued.priority !== 'guidance');
+    }
+    this.queue.push(item);
+    this.queue.sort((a, b) => rankOf(b.priority) - rankOf(a.priority));
+
+    if (this.current != null && !window.speechSynthesis.speaking &&
+        !window.speechSynthesis.pending) {
+      // The end event is not fired by every browser
+      this.current = null;
+    }
+    if (this.current == null) {
+      this.next();
+    } else if (rankOf(this.current.priority) < rank) {
+      this.interrupt();
+    }
+    return true;
+  }
+
+  /**
+   * The last guidance that was spoken, so that it can be repeated on request.
+   * @returns {string}
+   */
+  getLastGuidance() {
+    return this.lastGuidance;
+  }
+
+  /**
+   * Forget the last guidance so that the next one is spoken even if it is the
+   * same.
+   */
+  resetGuidance() {
+    this.lastGuidance = '';
+    this.lastGuidanceTime = 0;
+  }
+
+  /**
+   * Stop speaking and drop every waiting message.
+   */
+  cancel() {
+    this.queue = [];
+    this.current = null;
+    this.resetGuidance();
+    this.liveRegions.clear();
+    if (this.isSupported) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Speak a silent message. Some browsers only allow speech once something
+   * was spoken from a user gesture.
+   */
+  prime() {
+    if (!this.isSupported) return;
+    const utterance = new SpeechSynthesisUtterance('');
+    utterance.volume = 0;
+    window.speechSynthesis.speak(utterance);
+  }
+
+  interrupt() {
+    // Canceling fires the end event of the current utterance, which must not
+    // start the next message a second time
+    this.current = null;
+    window.speechSynthesis.cancel();
+    this.next();
+  }
+
+  next() {
+    const item = this.queue.shift();
+    if (item == null) {
+      this.current = null;
+      return;
+    }
+    this.current = item;
+
+    const utterance = this.createUtterance(item.message);
+    const done = () => {
+      if (this.current === item) {
+        this.current = null;
+        this.next();
+      }
+    };
+    utterance.onend = done;
+    utterance.onerror = (event) => {
+      if (event.error !== 'interrupted' && event.error !== 'canceled') {
+        console.error('Speech error:', event);
+      }
+      done();
+    };
+
+    // Some browsers pause speech synthesis in the background
+    if (window.speechSynthesis.paused) {
+      window.speechSynthesis.resume();
+    }
+    window.speechSynthesis.speak(utterance);
+  }
+
+  createUtterance(message) {
+    const utterance = localizeUtterance(new SpeechSynthesisUtterance(message));
+    utterance.rate = this.config.rate;
+    utterance.pitch = this.config.pitch;
+    utterance.volume = this.config.volume;
+
+    // The voice picked by the user is only used for its own language
+    const language = getSpeechLang().split('-')[0];
+    const voice = window.speechSynthesis.getVoices().find(
+        (voice) => voice.voiceURI === this.config.voice);
+    if (voice != null && voice.lang.toLowerCase().startsWith(language)) {
+      utterance.voice = voice;
+    }
+    return utterance;
+  }
+}
+
+/**
+ * The speech scheduler every spoken message goes through.
+ */
+export const speech = new SpeechScheduler(
+    STATE.speech, new LiveRegionAnnouncer(STATE.liveRegions));
@@ -15,8 +15,20 @@
  * =============================================================================
  */
 import * as tf from '@tensorflow/tfjs-core';
+import {estimateHeadPose, getHeadPoseGuidance, isHeadPoseFrontal} from
+    './head_pose';
 import {showBackendConfigs} from './option_panel';
-import {GREEN, NUM_KEYPOINTS, RED, STATE, TUNABLE_FLAG_VALUE_RANGE_MAP} from './params';
+import {
+  FRAMING_PROFILES,
+  GREEN,
+  NUM_KEYPOINTS,
+  RED,
+  STATE,
+  TUNABLE_FLAG_VALUE_RANGE_MAP,
+} from './params';
+import {formatOrdinal, markDynamic, t} from './i18n';
+import {getPhrase, isPhotographerMode} from './phrases';
+import {speech} from './speech';
 
 export function isiOS() {
   return /iPhone|iPad|iPod/i.test(navigator.userAgent);
@@ -133,209 +145,482 @@ function drawPath(ctx, points, closePath) {
  * @param showKeypoints Whether or not to display the keypoints.
  */
 /**
- * Check if a face is centered in the viewport
+ * Get the region of the canvas that a framing profile is measured against: the
+ * largest centered rectangle with the profile's aspect ratio.
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Object} profile The framing profile
+ * @returns {{x: number, y: number, width: number, height: number}} The region
+ */
+export function getFrameRegion(canvasWidth, canvasHeight, profile) {
+  let width = canvasWidth;
+  let height = canvasHeight;
+  if (profile.aspectRatio) {
+    if (canvasWidth / canvasHeight > profile.aspectRatio) {
+      width = canvasHeight * profile.aspectRatio;
+    } else {
+      height = canvasWidth / profile.aspectRatio;
+    }
+  }
+  return {
+    x: (canvasWidth - width) / 2,
+    y: (canvasHeight - height) / 2,
+    width,
+    height,
+  };
+}
+
+/**
+ * Measure how far a face is from the target of a framing profile
  * @param {Object} face The detected face object
  * @param {number} canvasWidth The width of the canvas
  * @param {number} canvasHeight The height of the canvas
- * @returns {boolean} Whether the face is centered
+ * @param {Object} profile The framing profile
+ * @returns {Object} Horizontal and vertical offsets from the target and the
+ *     face height, all as fractions of the frame region
  */
-function isFaceCentered(face, canvasWidth, canvasHeight) {
+function measureFaceFraming(face, canvasWidth, canvasHeight, profile) {
   const box = face.box;
+  const frame = getFrameRegion(canvasWidth, canvasHeight, profile);
   const faceWidth = box.xMax - box.xMin;
   const faceHeight = box.yMax - box.yMin;
   
-  // Calculate the center of the face
-  const faceCenterX = box.xMin + faceWidth / 2;
-  const faceCenterY = box.yMin + faceHeight / 2;
-  
-  // Calculate the center of the canvas
-  const canvasCenterX = canvasWidth / 2;
-  const canvasCenterY = canvasHeight / 2;
+  // Calculate the center of the face relative to the frame
+  const faceCenterX = (box.xMin + faceWidth / 2 - frame.x) / frame.width;
+  const faceCenterY = (box.yMin + faceHeight / 2 - frame.y) / frame.height;
   
-  // Calculate the distance from the face center to the canvas center
-  const distanceX = Math.abs(faceCenterX - canvasCenterX);
-  const distanceY = Math.abs(faceCenterY - canvasCenterY);
-  
-  // Define thresholds for centering (adjust as needed)
-  const thresholdX = canvasWidth * 0.15; // 15% of canvas width
-  const thresholdY = canvasHeight * 0.15; // 15% of canvas height
+  // Profiles with an eye line band are positioned vertically by the eyes
+  // rather than by the center of the face
+  let offsetY = faceCenterY - profile.center.y;
+  if (profile.eyeLine && face.keypoints && face.keypoints.length >= 2) {
+    const eyeY =
+        ((face.keypoints[0].y + face.keypoints[1].y) / 2 - frame.y) /
+        frame.height;
+    const [eyeLineMin, eyeLineMax] = profile.eyeLine;
+    if (eyeY < eyeLineMin) {
+      offsetY = eyeY - eyeLineMin;
+    } else if (eyeY > eyeLineMax) {
+      offsetY = eyeY - eyeLineMax;
+    } else {
+      offsetY = 0;
+    }
+  }
   
-  // Check if the face is centered within the thresholds
-  return distanceX <= thresholdX && distanceY <= thresholdY;
+  return {
+    offsetX: faceCenterX - profile.center.x,
+    offsetY,
+    faceHeight: faceHeight / frame.height,
+  };
 }
 
-// Keep track of the last announced status to avoid repetitive announcements
-let lastAnnouncedStatus = '';
-let lastAnnouncementTime = 0;
-
 /**
- * Speak a message using the Web Speech API
- * @param {string} message The message to speak
- * @param {boolean} interrupt Whether to interrupt ongoing speech
+ * Check if a face is centered and sized as the framing profile requires
+ * @param {Object} face The detected face object
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Object} profile The framing profile
+ * @param {number} slack Factor by which the tolerance and size range are
+ *     widened, used to keep an already centered face centered
+ * @returns {boolean} Whether the face is centered
  */
-function speakMessage(message, interrupt = false) {
-  // Check if speech synthesis is available
-  if (!('speechSynthesis' in window)) {
-    console.warn('Speech synthesis not supported in this browser');
-    return;
-  }
-  
-  // Don't repeat the same message too frequently (at least 3 seconds between identical announcements)
-  const now = Date.now();
-  if (message === lastAnnouncedStatus && now - lastAnnouncementTime < 3000) {
-    return;
-  }
-  
-  // If interrupt is true, cancel any ongoing speech
-  if (interrupt && window.speechSynthesis.speaking) {
-    window.speechSynthesis.cancel();
-  }
+function isFaceCentered(face, canvasWidth, canvasHeight, profile, slack = 1) {
+  const {offsetX, offsetY, faceHeight} =
+      measureFaceFraming(face, canvasWidth, canvasHeight, profile);
+  const tolerance = profile.tolerance * slack;
+  const [minFaceHeight, maxFaceHeight] = profile.faceHeight;
   
-  // Create a new speech utterance
-  const utterance = new SpeechSynthesisUtterance(message);
-  
-  // Set properties for better accessibility
-  utterance.volume = 1; // 0 to 1
-  utterance.rate = 1.1; // 0.1 to 10
-  utterance.pitch = 1; // 0 to 2
-  utterance.lang = 'en-US';
-  
-  // Add event listeners to debug speech synthesis issues
-  utterance.onstart = () => console.log('Speech started: ' + message);
-  utterance.onend = () => console.log('Speech ended: ' + message);
-  utterance.onerror = (event) => console.error('Speech error:', event);
-  
-  // Force speech synthesis to start - sometimes browsers require user interaction first
-  try {
-    // Ensure speech synthesis is ready
-    if (window.speechSynthesis.paused) {
-      window.speechSynthesis.resume();
-    }
-    
-    // Speak the message
-    window.speechSynthesis.speak(utterance);
-    
-    // Log for debugging
-    console.log('Speaking message: ' + message);
-    
-    // Update tracking variables
-    lastAnnouncedStatus = message;
-    lastAnnouncementTime = now;
-  } catch (error) {
-    console.error('Error speaking message:', error);
-  }
+  // Check if the face is centered within the tolerance and has the right size
+  return Math.abs(offsetX) <= tolerance && Math.abs(offsetY) <= tolerance &&
+      faceHeight >= minFaceHeight / slack &&
+      faceHeight <= maxFaceHeight * slack;
 }
 
+// Keep track of the last reported centered state so that the centered
+// announcement only happens when the state changes
+let lastFaceCentered = false;
+
+// Keep track of the last number of detected faces so that changes in the
+// number of people in frame are announced once
+let lastFaceCount = 0;
+
 /**
  * Update the face centering status in the UI and announce it via speech
  * @param {boolean} isCentered Whether the face is centered
+ * @param {number} faceCount The number of detected faces
+ * @param {string} notice Optional announcement about the people in frame,
+ *     spoken before the guidance
  */
-function updateFaceStatus(isCentered) {
+function updateFaceStatus(isCentered, faceCount = 1, notice = '') {
   const statusElement = document.getElementById('face-status');
   if (!statusElement) return;
+  markDynamic(statusElement);
   
   let statusMessage = '';
+  const statusLabel = STATE.groupMode ?
+      t('ui.groupPosition', {count: faceCount}) :
+      t('ui.facePosition');
   
+  const becameCentered = isCentered && !lastFaceCentered;
+  lastFaceCentered = isCentered;
+  // The status text is translated, so the centered state is kept separately
+  // for the capture buttons
+  statusElement.dataset.centered = String(isCentered);
+
+  // In tones-only mode the position is conveyed by sonification, only
+  // announcements about the people in frame are spoken
+  const speakGuidance = STATE.guidanceMode !== 'tones';
+
   if (isCentered) {
-    statusMessage = 'Face position: Centered';
+    statusMessage = t('ui.statusCentered', {label: statusLabel});
     statusElement.textContent = statusMessage + ' ✅';
     statusElement.style.color = 'green';
-    speakMessage('Your face is centered. You can take a photo now.', true);
-    
-    // Focus on the 'take-and-download' button when face is centered
-    const takeAndDownloadButton = document.getElementById('take-and-download');
-    if (takeAndDownloadButton) {
-      takeAndDownloadButton.focus();
+    if (!becameCentered) {
+      if (notice) {
+        speech.speak(notice, 'status');
+      }
+      return;
+    }
+
+    const centeredMessage = STATE.groupMode ?
+        getPhrase('groupCentered') :
+        getPhrase('faceCentered');
+    if (speakGuidance) {
+      speech.speak(notice ? notice + ' ' + centeredMessage : centeredMessage,
+          'status');
+    } else if (notice) {
+      speech.speak(notice, 'status');
     }
   } else {
-    statusMessage = 'Face position: Not centered - Please center your face';
+    statusMessage = t('ui.statusNotCentered', {label: statusLabel});
     statusElement.textContent = statusMessage + ' ❌';
     statusElement.style.color = 'red';
     
+    if (notice) {
+      speech.speak(notice, 'status');
+    }
+
     // Use the guidance that was calculated in drawResults
-    if (window.currentFaceGuidance) {
-      speakMessage(window.currentFaceGuidance);
+    if (!speakGuidance) {
+      return;
+    } else if (window.currentFaceGuidance) {
+      speech.speak(window.currentFaceGuidance, 'guidance');
     } else {
-      speakMessage('Your face is not centered. Please adjust your position.');
+      speech.speak(getPhrase('notCentered'), 'guidance');
     }
   }
 }
 
 /**
- * Get more specific guidance on how to adjust face position
+ * Get the directions in which the face should move to match the framing
+ * profile. These hints drive the spoken guidance as well as the other
+ * guidance channels.
  * @param {Object} face The detected face object
  * @param {number} canvasWidth The width of the canvas
  * @param {number} canvasHeight The height of the canvas
- * @returns {string} Guidance message with directional instructions
+ * @param {Object} profile The framing profile
+ * @returns {Object} `horizontal`, `vertical` and `distance` phrase keys, or
+ *     null when that direction is fine, along with the raw `offsetX`,
+ *     `offsetY` and `sizeError` (negative when the face is too small) as
+ *     fractions of the frame
  */
-function getFacePositionGuidance(face, canvasWidth, canvasHeight) {
-  if (!face || !face.box) return '';
-  
-  const box = face.box;
-  const faceWidth = box.xMax - box.xMin;
-  const faceHeight = box.yMax - box.yMin;
-  
-  // Calculate the center of the face
-  const faceCenterX = box.xMin + faceWidth / 2;
-  const faceCenterY = box.yMin + faceHeight / 2;
-  
-  // Calculate the center of the canvas
-  const canvasCenterX = canvasWidth / 2;
-  const canvasCenterY = canvasHeight / 2;
-  
-  // Calculate the distance from the face center to the canvas center
-  const distanceX = faceCenterX - canvasCenterX;
-  const distanceY = faceCenterY - canvasCenterY;
+export function getFacePositionHints(face, canvasWidth, canvasHeight, profile) {
+  const {offsetX, offsetY, faceHeight} =
+      measureFaceFraming(face, canvasWidth, canvasHeight, profile);
   
   // Determine horizontal position
-  let horizontalGuidance = '';
-  if (distanceX < -canvasWidth * 0.1) {
-    horizontalGuidance = 'Move right';
-  } else if (distanceX > canvasWidth * 0.1) {
-    horizontalGuidance = 'Move left';
+  let horizontal = null;
+  if (offsetX < -profile.tolerance) {
+    horizontal = 'moveRight';
+  } else if (offsetX > profile.tolerance) {
+    horizontal = 'moveLeft';
   }
   
   // Determine vertical position
-  let verticalGuidance = '';
-  if (distanceY < -canvasHeight * 0.1) {
-    verticalGuidance = 'Move down';
-  } else if (distanceY > canvasHeight * 0.1) {
-    verticalGuidance = 'Move up';
+  let vertical = null;
+  if (offsetY < -profile.tolerance) {
+    vertical = 'moveDown';
+  } else if (offsetY > profile.tolerance) {
+    vertical = 'moveUp';
   }
   
   // Determine distance guidance (if face is too close or too far)
-  let distanceGuidance = '';
-  const idealFaceWidth = canvasWidth * 0.4; // Face should take up about 40% of frame width
-  if (faceWidth < idealFaceWidth * 0.7) {
-    distanceGuidance = 'Move closer to the camera';
-  } else if (faceWidth > idealFaceWidth * 1.3) {
-    distanceGuidance = 'Move farther from the camera';
+  let distance = null;
+  let sizeError = 0;
+  const [minFaceHeight, maxFaceHeight] = profile.faceHeight;
+  if (faceHeight < minFaceHeight) {
+    distance = 'moveCloser';
+    sizeError = faceHeight - minFaceHeight;
+  } else if (faceHeight > maxFaceHeight) {
+    distance = 'moveFarther';
+    sizeError = faceHeight - maxFaceHeight;
   }
   
-  // Combine the guidance messages
-  const guidanceParts = [horizontalGuidance, verticalGuidance, distanceGuidance].filter(part => part !== '');
+  return {horizontal, vertical, distance, offsetX, offsetY, sizeError};
+}
+
+/**
+ * Turn position hints into a spoken message
+ * @param {Object} hints From `getFacePositionHints`
+ * @param {Array<string>} extraParts Messages to speak before the directions
+ * @returns {string} Guidance message with directional instructions
+ */
+function describePositionHints(hints, extraParts = []) {
+  const guidanceParts = extraParts.concat(
+      [hints.horizontal, hints.vertical, hints.distance]
+          .filter((key) => key != null)
+          .map((key) => getPhrase(key)));
   
   if (guidanceParts.length === 0) {
-    return 'Almost centered. Make small adjustments.';
+    return getPhrase('almostCentered');
   }
   
   return guidanceParts.join('. ') + '.';
 }
 
-export function drawResults(ctx, faces, boundingBox, showKeypoints) {
+/**
+ * Get more specific guidance on how to adjust face position
+ * @param {Object} face The detected face object
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Object} profile The framing profile
+ * @returns {string} Guidance message with directional instructions
+ */
+function getFacePositionGuidance(face, canvasWidth, canvasHeight, profile) {
+  if (!face || !face.box) return '';
+
+  return describePositionHints(
+      getFacePositionHints(face, canvasWidth, canvasHeight, profile));
+}
+
+/**
+ * Pick the face the guidance should follow when only one person is expected:
+ * the largest face, or the most central one among faces of similar size.
+ * @param {Array<Object>} faces The detected faces
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @returns {Object} The primary face
+ */
+export function getPrimaryFace(faces, canvasWidth, canvasHeight) {
+  const getArea = (face) =>
+      (face.box.xMax - face.box.xMin) * (face.box.yMax - face.box.yMin);
+  const getDistanceToCenter = (face) => Math.hypot(
+      (face.box.xMin + face.box.xMax - canvasWidth) / 2,
+      (face.box.yMin + face.box.yMax - canvasHeight) / 2);
+
+  const largestArea = Math.max(...faces.map(getArea));
+  const candidates = faces.filter((face) => getArea(face) >= largestArea * 0.8);
+  return candidates.reduce((best, face) =>
+      getDistanceToCenter(face) < getDistanceToCenter(best) ? face : best);
+}
+
+/**
+ * Check if a face lies inside the frame region, inset by the group margin
+ * @param {Object} face The detected face object
+ * @param {Object} frame The frame region from `getFrameRegion`
+ * @param {number} slack Factor by which the margin is narrowed
+ * @returns {boolean} Whether the face is fully inside the frame
+ */
+function isFaceInsideFrame(face, frame, slack = 1) {
+  const marginX = frame.width * STATE.group.margin / slack;
+  const marginY = frame.height * STATE.group.margin / slack;
+  return face.box.xMin >= frame.x + marginX &&
+      face.box.xMax <= frame.x + frame.width - marginX &&
+      face.box.yMin >= frame.y + marginY &&
+      face.box.yMax <= frame.y + frame.height - marginY;
+}
+
+/**
+ * Build a pseudo face whose box encloses all the given faces
+ * @param {Array<Object>} faces The detected faces
+ * @returns {Object} Face object with the union box and no keypoints
+ */
+function getGroupFace(faces) {
+  return {
+    box: {
+      xMin: Math.min(...faces.map((face) => face.box.xMin)),
+      yMin: Math.min(...faces.map((face) => face.box.yMin)),
+      xMax: Math.max(...faces.map((face) => face.box.xMax)),
+      yMax: Math.max(...faces.map((face) => face.box.yMax)),
+    },
+    keypoints: [],
+  };
+}
+
+/**
+ * Describe where a person stands in the group, as seen in the preview
+ * @param {Object} face The face of the person
+ * @param {Array<Object>} faces All the detected faces, at least two
+ * @returns {string} Description such as 'The person on the left'
+ */
+function describePersonPosition(face, faces) {
+  // The front camera preview is mirrored, so the largest x in the video is on
+  // the left. The rear camera preview is not.
+  const fromLeft = isPhotographerMode() ?
+      faces.slice().sort((a, b) => a.box.xMin - b.box.xMin) :
+      faces.slice().sort((a, b) => b.box.xMax - a.box.xMax);
+  const index = fromLeft.indexOf(face);
+  if (index === 0) {
+    return getPhrase('personOnLeft');
+  } else if (index === faces.length - 1) {
+    return getPhrase('personOnRight');
+  } else if (faces.length === 3) {
+    return getPhrase('personInMiddle');
+  }
+  return getPhrase('personFromLeft', {ordinal: formatOrdinal(index + 1)});
+}
+
+/**
+ * Measure the size of the group against the frame
+ * @param {Array<Object>} faces The detected faces
+ * @param {Object} frame The frame region from `getFrameRegion`
+ * @param {number} slack Factor by which the margin and the minimum face
+ *     height are relaxed
+ * @returns {Object} `tooLarge` by how much the group exceeds the space inside
+ *     the margin, or `tooSmall` by how much the average face height is below
+ *     the minimum, as fractions of the frame, 0 when the size is fine
+ */
+function measureGroupSize(faces, frame, slack = 1) {
+  const groupFace = getGroupFace(faces);
+  const groupWidth = (groupFace.box.xMax - groupFace.box.xMin) / frame.width;
+  const groupHeight = (groupFace.box.yMax - groupFace.box.yMin) / frame.height;
+  const available = 1 - 2 * STATE.group.margin / slack;
+  const minFaceHeight = STATE.group.minFaceHeight / slack;
+  const averageFaceHeight = faces.reduce((sum, face) =>
+      sum + (face.box.yMax - face.box.yMin) / frame.height, 0) / faces.length;
+  return {
+    tooLarge: Math.max(0, Math.max(groupWidth, groupHeight) - available),
+    tooSmall: Math.max(0, minFaceHeight - averageFaceHeight),
+  };
+}
+
+/**
+ * Check if the whole group is in the frame, centered, of the right size and
+ * facing the camera
+ * @param {Array<Object>} faces The detected faces
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Object} profile The framing profile
+ * @param {number} slack Factor by which the thresholds are relaxed
+ * @returns {boolean} Whether the group is centered
+ */
+function isGroupCentered(faces, canvasWidth, canvasHeight, profile, slack = 1) {
+  const frame = getFrameRegion(canvasWidth, canvasHeight, profile);
+  const {offsetX, offsetY} = measureFaceFraming(
+      getGroupFace(faces), canvasWidth, canvasHeight, profile);
+  const tolerance = profile.tolerance * slack;
+  // The same size checks as the guidance, so that the group is not reported
+  // as centered while it is asked to move closer or farther
+  const {tooLarge, tooSmall} = measureGroupSize(faces, frame, slack);
+
+  return Math.abs(offsetX) <= tolerance && Math.abs(offsetY) <= tolerance &&
+      tooLarge === 0 && tooSmall === 0 &&
+      faces.every((face) => isFaceInsideFrame(face, frame, slack) &&
+          isHeadPoseFrontal(estimateHeadPose(face), STATE.headPose, slack));
+}
+
+/**
+ * Get the directions in which the group should move so that everyone fits in
+ * the frame with a margin
+ * @param {Array<Object>} faces The detected faces
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Object} profile The framing profile
+ * @returns {Object} Hints in the format of `getFacePositionHints`
+ */
+function getGroupPositionHints(faces, canvasWidth, canvasHeight, profile) {
+  const frame = getFrameRegion(canvasWidth, canvasHeight, profile);
+  const hints = getFacePositionHints(
+      getGroupFace(faces), canvasWidth, canvasHeight, profile);
+
+  // The group needs to fit inside the frame with a margin on each side,
+  // instead of matching the face size of the profile
+  const {tooLarge, tooSmall} = measureGroupSize(faces, frame);
+  hints.distance = null;
+  hints.sizeError = 0;
+  if (tooLarge > 0) {
+    hints.distance = 'moveFarther';
+    hints.sizeError = tooLarge;
+  } else if (tooSmall > 0) {
+    hints.distance = 'moveCloser';
+    hints.sizeError = -tooSmall;
+  }
+  return hints;
+}
+
+/**
+ * Get guidance that moves the whole group into the frame with a margin
+ * @param {Array<Object>} faces The detected faces
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Object} profile The framing profile
+ * @returns {string} Guidance message with directional instructions
+ */
+function getGroupPositionGuidance(faces, canvasWidth, canvasHeight, profile) {
+  const frame = getFrameRegion(canvasWidth, canvasHeight, profile);
+  const guidanceParts = [];
+
+  // Name everyone who is cut off by the edge of the frame
+  faces.filter((face) => !isFaceInsideFrame(face, frame))
+      .forEach((face) => {
+        guidanceParts.push(faces.length === 1 ?
+            getPhrase('alonePartlyOutOfFrame') :
+            getPhrase('partlyOutOfFrame',
+                {person: describePersonPosition(face, faces)}));
+      });
+
+  if (!faces.every((face) =>
+      isHeadPoseFrontal(estimateHeadPose(face), STATE.headPose))) {
+    guidanceParts.push(getPhrase('everyoneFaceCamera'));
+  }
+
+  return describePositionHints(
+      getGroupPositionHints(faces, canvasWidth, canvasHeight, profile),
+      guidanceParts);
+}
+
+/**
+ * Get guidance for a single face, followed by head pose guidance when the
+ * head is turned or tilted
+ * @param {Object} face The detected face object
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Object} profile The framing profile
+ * @returns {string} Guidance message
+ */
+function getFaceGuidance(face, canvasWidth, canvasHeight, profile) {
+  const guidance =
+      getFacePositionGuidance(face, canvasWidth, canvasHeight, profile);
+  const pose = estimateHeadPose(face);
+  if (isHeadPoseFrontal(pose, STATE.headPose)) {
+    return guidance;
+  }
+  const poseGuidance = getHeadPoseGuidance(pose, STATE.headPose);
+  return isFaceCentered(face, canvasWidth, canvasHeight, profile) ?
+      poseGuidance :
+      guidance + ' ' + poseGuidance;
+}
+
+/**
+ * Draw the detection results and update the face status.
+ * @param ctx 2D rendering context.
+ * @param faces A list of faces to render.
+ * @param boundingBox Whether or not to display the bounding box.
+ * @param showKeypoints Whether or not to display the keypoints.
+ * @param stabilizer Optional `FaceStabilizer` that debounces the centered
+ *     state.
+ * @param frameIssues Spoken descriptions of image quality problems, such as
+ *     blur, that keep the face from being reported as centered, and end the
+ *     centered state when they appear once it is reached.
+ * @returns {{centered: boolean, hints: Object}} Whether the face, or in
+ *     group mode the whole group, is reported as centered, and the position
+ *     hints from `getFacePositionHints`, null if no face is detected.
+ */
+export function drawResults(
+    ctx, faces, boundingBox, showKeypoints, stabilizer, frameIssues = []) {
   // Get canvas dimensions
   const canvasWidth = ctx.canvas.width;
   const canvasHeight = ctx.canvas.height;
   
-  if (faces.length === 0) {
-    // No face detected
-    const statusElement = document.getElementById('face-status');
-    if (statusElement) {
-      statusElement.textContent = 'Face position: No face detected';
-      statusElement.style.color = 'orange';
-    }
-  }
-  
   faces.forEach((face) => {
     const keypoints =
         face.keypoints.map((keypoint) => [keypoint.x, keypoint.y]);
@@ -352,15 +637,6 @@ export function drawResults(ctx, faces, boundingBox, showKeypoints) {
             [box.xMin, box.yMax]
           ],
           true);
-      
-      // Check if the face is centered and update the status
-      const centered = isFaceCentered(face, canvasWidth, canvasHeight);
-      
-      // Get directional guidance for this face
-      window.currentFaceGuidance = getFacePositionGuidance(face, canvasWidth, canvasHeight);
-      
-      // Update the status with centering information
-      updateFaceStatus(centered);
     }
 
     if (showKeypoints) {
@@ -376,4 +652,76 @@ export function drawResults(ctx, faces, boundingBox, showKeypoints) {
       }
     }
   });
-}
\ No newline at end of file
+
+  if (faces.length === 0) {
+    // No face detected
+    const statusElement = document.getElementById('face-status');
+    if (statusElement) {
+      markDynamic(statusElement);
+      statusElement.textContent = t('ui.statusNoFace');
+      statusElement.dataset.centered = 'false';
+      statusElement.style.color = 'orange';
+    }
+    lastFaceCentered = false;
+    lastFaceCount = 0;
+    if (stabilizer != null) {
+      stabilizer.updateCentered(false, false);
+    }
+    return {centered: false, hints: null};
+  }
+
+  // Announce changes in the number of people in frame once
+  let notice = '';
+  if (faces.length !== lastFaceCount) {
+    if (STATE.groupMode) {
+      notice = t('ui.peopleInFrame', {count: faces.length});
+    } else if (faces.length > 1) {
+      notice = t('ui.someoneElseInPicture');
+    }
+  }
+  lastFaceCount = faces.length;
+
+  // Check if the face, or the whole group, is centered and facing the camera
+  const profile = FRAMING_PROFILES[STATE.framingProfile];
+  let isCentered;
+  let hints;
+  if (STATE.groupMode) {
+    isCentered = (slack) =>
+        isGroupCentered(faces, canvasWidth, canvasHeight, profile, slack);
+    hints = getGroupPositionHints(faces, canvasWidth, canvasHeight, profile);
+    window.currentFaceGuidance =
+        getGroupPositionGuidance(faces, canvasWidth, canvasHeight, profile);
+  } else {
+    // Only the primary face is guided when a single person is expected
+    const face = getPrimaryFace(faces, canvasWidth, canvasHeight);
+    isCentered = (slack) =>
+        isFaceCentered(face, canvasWidth, canvasHeight, profile, slack) &&
+        isHeadPoseFrontal(estimateHeadPose(face), STATE.headPose, slack);
+    hints = getFacePositionHints(face, canvasWidth, canvasHeight, profile);
+    window.currentFaceGuidance =
+        getFaceGuidance(face, canvasWidth, canvasHeight, profile);
+  }
+  const positioned = isCentered(1);
+  let centered = positioned && frameIssues.length === 0;
+
+  // Image quality problems come first, they are all that is left to fix once
+  // the face is in position
+  if (frameIssues.length > 0) {
+    window.currentFaceGuidance = positioned ?
+        frameIssues.join(' ') :
+        frameIssues.join(' ') + ' ' + window.currentFaceGuidance;
+  }
+
+  // Only report the stabilized state: the face has to stay within the strict
+  // thresholds for a while to become centered, and only leaves the centered
+  // state once it is outside the relaxed thresholds or an image quality
+  // problem appears
+  if (stabilizer != null) {
+    centered = stabilizer.updateCentered(centered,
+        isCentered(STATE.stabilizer.exitSlack) && frameIssues.length === 0);
+  }
+
+  // Update the status with centering information
+  updateFaceStatus(centered, faces.length, notice);
+  return {centered, hints};
+}
@@ -0,0 +1,280 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+import {getSpeechLang, t} from './i18n';
+import {speech} from './speech';
+
+/**
+ * The actions that can be triggered by voice. The phrases for each are in the
+ * `commands` messages of each locale.
+ */
+export const VOICE_COMMANDS = [
+  'capture', 'repeat', 'describe', 'download', 'startOver', 'stop',
+  'stopListening', 'keep', 'retake', 'retakeSame', 'switchVersion',
+];
+
+/**
+ * Create a recognizer backed by the Web Speech API.
+ *
+ * Any object with the same shape can be used instead, for example a stub that
+ * calls `onresult` with a fixed transcript:
+ *
+ * - `start()` and `stop()` start and stop listening.
+ * - `onresult(transcript)`, `onerror(error)` and `onend()` are set by
+ *   `VoiceCommands`. `error` is a `SpeechRecognitionErrorEvent` error code such
+ *   as 'not-allowed'.
+ * @param {Object} options `lang`, and `continuous` to keep listening after a
+ *     result.
+ * @returns {Object} The recognizer, or null if speech recognition is not
+ *     supported.
+ */
+export function createSpeechRecognizer({lang, continuous}) {
+  const SpeechRecognition =
+      window.SpeechRecognition || window.webkitSpeechRecognition;
+  if (!SpeechRecognition) return null;
+
+  const recognition = new SpeechRecognition();
+  recognition.lang = lang;
+  recognition.continuous = continuous;
+  recognition.interimResults = false;
+
+  const recognizer = {
+    onresult: () => {},
+    onerror: () => {},
+    onend: () => {},
+    start: () => recognition.start(),
+    stop: () => recognition.stop(),
+  };
+  recognition.onresult = (event) => {
+    const result = event.results[event.results.length - 1];
+    recognizer.onresult(result[0].transcript);
+  };
+  recognition.onerror = (event) => recognizer.onerror(event.error);
+  recognition.onend = () => recognizer.onend();
+  return recognizer;
+}
+
+// Time a stub recognizer takes to hear something
+const STUB_RESULT_DELAY = 1000;
+
+/**
+ * Create stub recognizers that hear the given transcripts instead of the
+ * microphone, one each time a recognizer is started, and then silence.
+ * @param {Array<string>} transcripts What is heard, in order.
+ * @returns {Function} Creates the recognizers, to pass to `VoiceCommands`
+ *     instead of `createSpeechRecognizer`.
+ */
+export function createStubRecognizer(transcripts) {
+  const pending = transcripts.slice();
+  return () => {
+    let timer = null;
+    const recognizer = {
+      onresult: () => {},
+      onerror: () => {},
+      onend: () => {},
+      start: () => {
+        timer = setTimeout(() => {
+          timer = null;
+          if (pending.length > 0) {
+            recognizer.onresult(pending.shift());
+          } else {
+            recognizer.onerror('no-speech');
+          }
+          recognizer.onend();
+        }, STUB_RESULT_DELAY);
+      },
+      stop: () => {
+        clearTimeout(timer);
+        timer = null;
+      },
+    };
+    return recognizer;
+  };
+}
+
+function normalizeTranscript(transcript) {
+  return transcript.toLowerCase().replace(/[.,!?¿¡]/g, '').trim();
+}
+
+/**
+ * Find the command in a transcript. When several command phrases are heard,
+ * the longest one wins, so that "say again" is not taken for "again".
+ * @param {string} transcript What was heard.
+ * @returns {string} One of `VOICE_COMMANDS`, or null.
+ */
+export function matchVoiceCommand(transcript) {
+  const heard = ` ${normalizeTranscript(transcript)} `;
+  let match = null;
+  let matchLength = 0;
+  VOICE_COMMANDS.forEach((command) => {
+    t(`commands.${command}`).split('|').forEach((phrase) => {
+      if (heard.includes(` ${phrase} `) && phrase.length > matchLength) {
+        match = command;
+        matchLength = phrase.length;
+      }
+    });
+  });
+  return match;
+}
+
+/**
+ * Listens for spoken commands and runs the matching action.
+ *
+ * In `continuous` mode the recognizer is restarted whenever it stops, for as
+ * long as voice commands are on. In `pushToListen` mode, and as a fallback
+ * when the browser can't listen continuously, one command is listened for
+ * each time `listenOnce` is called, typically from a button.
+ */
+export class VoiceCommands {
+  /**
+   * @param config From app `STATE.voiceCommands`.
+   * @param {Object} actions A function for each of `VOICE_COMMANDS`.
+   * @param {Function} createRecognizer Creates the recognizer, see
+   *     `createSpeechRecognizer`.
+   * @param {Function} onChange Called when voice commands are turned off or
+   *     fall back to push-to-listen on their own.
+   */
+  constructor(config, actions, createRecognizer = createSpeechRecognizer,
+      onChange = () => {}) {
+    this.config = config;
+    this.actions = actions;
+    this.createRecognizer = createRecognizer;
+    this.onChange = onChange;
+    this.recognizer = null;
+    this.listening = false;
+    this.fallback = false;
+  }
+
+  get isSupported() {
+    return this.createRecognizer({lang: getSpeechLang(), continuous: false}) !=
+        null;
+  }
+
+  /** The mode in use, which is push-to-listen after a fallback. */
+  get mode() {
+    return this.fallback ? 'pushToListen' : this.config.mode;
+  }
+
+  /**
+   * Start listening, continuously or once, depending on the mode.
+   * @returns {boolean} False if speech recognition is not supported.
+   */
+  start() {
+    if (this.mode === 'pushToListen') {
+      return this.isSupported;
+    }
+    return this.listen(true);
+  }
+
+  /**
+   * Listen for a single command.
+   * @returns {boolean} False if speech recognition is not supported.
+   */
+  listenOnce() {
+    return this.listen(false);
+  }
+
+  listen(continuous) {
+    this.stop();
+    const recognizer =
+        this.createRecognizer({lang: getSpeechLang(), continuous});
+    if (recognizer == null) return false;
+
+    recognizer.onresult = (transcript) => this.handleTranscript(transcript);
+    recognizer.onerror = (error) => this.handleError(error);
+    recognizer.onend = () => {
+      if (this.recognizer !== recognizer) return;
+      // Browsers stop listening after a while of silence
+      if (continuous && this.listening && this.config.enabled) {
+        this.startRecognizer(recognizer);
+      } else {
+        this.recognizer = null;
+        this.listening = false;
+      }
+    };
+    this.recognizer = recognizer;
+    this.listening = true;
+    this.startRecognizer(recognizer);
+    return true;
+  }
+
+  startRecognizer(recognizer) {
+    try {
+      recognizer.start();
+    } catch (error) {
+      // For example an InvalidStateError when the browser is still listening
+      console.warn('Speech recognition not started:', error);
+      this.recognizer = null;
+      this.listening = false;
+      this.handleError('start-failed');
+    }
+  }
+
+  /**
+   * Stop listening.
+   */
+  stop() {
+    const recognizer = this.recognizer;
+    this.recognizer = null;
+    this.listening = false;
+    if (recognizer != null) {
+      recognizer.stop();
+    }
+  }
+
+  /**
+   * Run the action of the command in a transcript.
+   * @param {string} transcript What was heard.
+   * @returns {string} The command that was run, or null.
+   */
+  handleTranscript(transcript) {
+    const command = matchVoiceCommand(transcript);
+    if (speech.isSpeaking) {
+      // The microphone hears the app's own voice too. Anything that is part
+      // of what the app is saying is ignored, another command cuts it off.
+      const spoken = normalizeTranscript(speech.currentMessage);
+      if (command == null ||
+          spoken.includes(normalizeTranscript(transcript))) {
+        return null;
+      }
+      speech.cancel();
+    }
+    if (command == null) {
+      speech.speak(t('ui.commandNotRecognized'), 'urgent');
+      return null;
+    }
+    this.actions[command]();
+    return command;
+  }
+
+  handleError(error) {
+    if (error === 'no-speech' || error === 'aborted') return;
+
+    console.warn('Speech recognition error:', error);
+    if (error === 'not-allowed' || error === 'service-not-allowed') {
+      this.stop();
+      this.config.enabled = false;
+      this.onChange();
+      speech.speak(t('ui.microphoneDenied'), 'urgent');
+    } else if (this.mode === 'continuous') {
+      // Listen on request only, some browsers can't listen continuously
+      this.stop();
+      this.fallback = true;
+      this.onChange();
+      speech.speak(t('ui.pushToListenFallback'), 'urgent');
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * @license
+ * Copyright 2022 Google LLC. All Rights Reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * =============================================================================
+ */
+
+let wakeLock = null;
+// The request in flight, so that a release while it is pending also releases
+// the lock it is granted
+let wakeLockRequest = null;
+
+/**
+ * Keep the screen on with the Screen Wake Lock API. The browser releases the
+ * lock whenever the page is hidden, so this has to be called again when the
+ * page becomes visible.
+ */
+export async function acquireWakeLock() {
+  if (!('wakeLock' in navigator) || wakeLock != null ||
+      wakeLockRequest != null) {
+    return;
+  }
+  const request = navigator.wakeLock.request('screen');
+  wakeLockRequest = request;
+  try {
+    const lock = await request;
+    if (wakeLockRequest !== request) {
+      // Released while the request was pending
+      await lock.release();
+      return;
+    }
+    wakeLock = lock;
+    wakeLock.addEventListener('release', () => {
+      if (wakeLock === lock) {
+        wakeLock = null;
+      }
+    });
+  } catch (error) {
+    // The request fails for example when the battery is low. The app works
+    // without the lock, the screen may just turn off.
+    console.warn('Screen wake lock not acquired:', error);
+  } finally {
+    if (wakeLockRequest === request) {
+      wakeLockRequest = null;
+    }
+  }
+}
+
+/**
+ * Let the screen turn off again.
+ */
+export async function releaseWakeLock() {
+  // A pending request releases its lock as soon as it is granted
+  wakeLockRequest = null;
+  if (wakeLock == null) {
+    return;
+  }
+  const lock = wakeLock;
+  wakeLock = null;
+  await lock.release();
+}